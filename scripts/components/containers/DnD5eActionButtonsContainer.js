@@ -1,8 +1,9 @@
 import { ActionButtonsContainer } from '/modules/bg3-hud-core/scripts/components/containers/ActionButtonsContainer.js';
+import { hasPreparableSpells, showSpellPreparationPanel } from '../ui/SpellPreparationPanel.js';
 
 /**
  * D&D 5e Action Buttons Container
- * Provides rest and turn buttons specific to D&D 5e
+ * Provides rest, turn and spell preparation buttons specific to D&D 5e
  */
 export class DnD5eActionButtonsContainer extends ActionButtonsContainer {
     /**
@@ -77,6 +78,22 @@ export class DnD5eActionButtonsContainer extends ActionButtonsContainer {
             }
         });
 
+        // Prepare Spells button (visible outside combat for actors with learned spells)
+        buttons.push({
+            key: 'prepare-spells',
+            classes: ['prepare-spells-button'],
+            icon: 'fas fa-book-open',
+            label: game.i18n.localize('bg3-hud-dnd5e.SpellPreparation.Title'),
+            tooltip: game.i18n.localize('bg3-hud-dnd5e.SpellPreparation.Tooltip'),
+            tooltipDirection: 'LEFT',
+            visible: () => {
+                return !game.combat?.started && this.actor.isOwner && hasPreparableSpells(this.actor);
+            },
+            onClick: async () => {
+                await showSpellPreparationPanel(this.actor);
+            }
+        });
+
         return buttons;
     }
 
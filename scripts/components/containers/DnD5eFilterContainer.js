@@ -19,6 +19,84 @@ export class DnD5eFilterContainer extends FilterContainer {
         });
     }
 
+    /**
+     * Render the filters, then add action economy pips to the action type buttons
+     * @returns {Promise<HTMLElement>}
+     */
+    async render() {
+        const element = await super.render();
+        this._renderEconomyPips();
+        return element;
+    }
+
+    /**
+     * Append action economy pips to the action / bonus / reaction / legendary buttons
+     * Pips show what has been spent this turn and can be clicked to toggle manually
+     * @private
+     */
+    _renderEconomyPips() {
+        const economy = ui.BG3HOTBAR?.registry?.activeAdapter?.actionEconomy;
+        if (!this.element || !this.actor || !economy) return;
+
+        for (const type of ['action', 'bonus', 'reaction']) {
+            const button = this.element.querySelector(`.action-economy-${type}`);
+            if (!button) continue;
+
+            const pip = this._createEconomyPip(type, game.i18n.localize(`${MODULE_ID}.ActionEconomy.Toggle`));
+            pip.addEventListener('click', async (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                if (!economy.isTracking(this.actor)) return;
+                await economy.toggle(this.actor, type);
+            });
+            button.appendChild(pip);
+        }
+
+        // One pip per legendary action in the pool
+        const legendaryButton = this.element.querySelector('.action-economy-legendary');
+        const pool = economy.getLegendaryActions(this.actor);
+        if (legendaryButton && pool) {
+            const wrapper = document.createElement('div');
+            wrapper.classList.add('bg3-economy-pips');
+            for (let index = 0; index < pool.max; index++) {
+                const pip = this._createEconomyPip('legendary', game.i18n.localize(`${MODULE_ID}.ActionEconomy.ToggleLegendary`));
+                pip.dataset.index = index;
+                pip.addEventListener('click', async (event) => {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    if (!economy.isTracking(this.actor)) return;
+                    // Clicking a remaining pip spends down to it, clicking a spent pip restores up to it
+                    const current = economy.getLegendaryActions(this.actor);
+                    if (!current) return;
+                    const value = index < current.value ? index : index + 1;
+                    await economy.setLegendaryActions(this.actor, value);
+                });
+                wrapper.appendChild(pip);
+            }
+            legendaryButton.appendChild(wrapper);
+        }
+
+        economy.updatePips(this.actor);
+    }
+
+    /**
+     * Create a single action economy pip element
+     * @param {string} type - 'action', 'bonus', 'reaction' or 'legendary'
+     * @param {string} tooltip - Tooltip text
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createEconomyPip(type, tooltip) {
+        const pip = document.createElement('span');
+        pip.classList.add('bg3-economy-pip', type);
+        pip.dataset.economy = type;
+        pip.dataset.tooltip = tooltip;
+        pip.dataset.tooltipDirection = 'UP';
+        // Mark as UI element to prevent system tooltips (dnd5e2, etc.) from showing
+        pip.dataset.bg3Ui = 'true';
+        return pip;
+    }
+
     /**
      * Check if actor has legendary actions
      * @returns {boolean} True if actor has legendary actions
@@ -69,7 +147,7 @@ export class DnD5eFilterContainer extends FilterContainer {
             id: 'action',
             label: game.i18n.localize(`${MODULE_ID}.Filters.Action`),
             symbol: 'fa-circle',
-            classes: ['action-type-button'],
+            classes: ['action-type-button', 'action-economy-action'],
             color: getComputedStyle(document.documentElement).getPropertyValue('--dnd5e-filter-action')?.trim() || '#ff6b6b',
             data: { actionType: 'action' }
         });
@@ -78,7 +156,7 @@ export class DnD5eFilterContainer extends FilterContainer {
             id: 'bonus',
             label: game.i18n.localize(`${MODULE_ID}.Filters.BonusAction`),
             symbol: 'fa-triangle',
-            classes: ['action-type-button'],
+            classes: ['action-type-button', 'action-economy-bonus'],
             color: getComputedStyle(document.documentElement).getPropertyValue('--dnd5e-filter-bonus')?.trim() || '#4ecdc4',
             data: { actionType: 'bonus' }
         });
@@ -87,7 +165,7 @@ export class DnD5eFilterContainer extends FilterContainer {
             id: 'reaction',
             label: game.i18n.localize(`${MODULE_ID}.Filters.Reaction`),
             symbol: 'fa-sparkle',
-            classes: ['action-type-button'],
+            classes: ['action-type-button', 'action-economy-reaction'],
             color: getComputedStyle(document.documentElement).getPropertyValue('--dnd5e-filter-reaction')?.trim() || '#95e1d3',
             data: { actionType: 'reaction' }
         });
@@ -98,7 +176,7 @@ export class DnD5eFilterContainer extends FilterContainer {
                 id: 'legendary',
                 label: game.i18n.localize(`${MODULE_ID}.Filters.LegendaryAction`),
                 symbol: 'fa-dragon',
-                classes: ['action-type-button'],
+                classes: ['action-type-button', 'action-economy-legendary'],
                 color: getComputedStyle(document.documentElement).getPropertyValue('--dnd5e-filter-legendary')?.trim() || '#ffd700',
                 data: { actionType: 'legendary' }
             });
@@ -140,7 +218,7 @@ export class DnD5eFilterContainer extends FilterContainer {
                     id: `spell-${level}`,
                     label: game.i18n.localize(`${MODULE_ID}.Filters.SpellLevel`),
                     short: this._getRomanNumeral(level),
-                    classes: ['spell-level-button'],
+                    classes: ['spell-level-button', `spell-slot-${spellLevelKey}`],
                     color: spellColor,
                     data: { level: level, value: spellLevel.value, max: spellLevel.max },
                     value: spellLevel.value,
@@ -157,7 +235,7 @@ export class DnD5eFilterContainer extends FilterContainer {
                 id: 'spell-pact',
                 label: game.i18n.localize(`${MODULE_ID}.Filters.PactMagic`),
                 short: 'P',
-                classes: ['spell-level-button', 'spell-pact-box'],
+                classes: ['spell-level-button', 'spell-pact-box', 'spell-slot-pact'],
                 color: pactColor,
                 data: {
                     isPact: true,
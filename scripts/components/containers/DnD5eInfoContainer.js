@@ -1,4 +1,5 @@
 import { InfoContainer } from '/modules/bg3-hud-core/scripts/components/containers/InfoContainer.js';
+import { getRollArguments, showRollOptions } from '../ui/RollOptionsPopover.js';
 
 const MODULE_ID = 'bg3-hud-dnd5e';
 
@@ -73,10 +74,67 @@ export class DnD5eInfoContainer extends InfoContainer {
     }
   }
 
+  /**
+   * Show the roll options popover for an ability and roll the chosen check or save
+   * @param {string} abilityId - Ability key
+   * @param {string} label - Ability name
+   * @param {HTMLElement} anchor - The ability block
+   * @returns {Promise<void>}
+   */
+  async openAbilityRollOptions(abilityId, label, anchor) {
+    const options = await showRollOptions({
+      anchor,
+      title: label,
+      actions: [
+        { action: 'check', label: game.i18n.localize(`${MODULE_ID}.RollOptions.Check`) },
+        { action: 'save', label: game.i18n.localize(`${MODULE_ID}.RollOptions.Save`) }
+      ]
+    });
+    if (!options || !this.actor) return;
+
+    const { config, dialog, message } = getRollArguments(options);
+    try {
+      if (options.action === 'save') {
+        await this.actor.rollSavingThrow({ ...config, ability: abilityId }, dialog, message);
+      } else {
+        await this.actor.rollAbilityCheck({ ...config, ability: abilityId }, dialog, message);
+      }
+    } catch (err) {
+      console.error('[bg3-hud-dnd5e] DnD5e Info | Ability roll with options failed', { abilityId, error: err });
+    }
+  }
+
+  /**
+   * Show the roll options popover for a skill and roll it
+   * @param {string} skillId - Skill key
+   * @param {string} label - Skill name
+   * @param {HTMLElement} anchor - The skill row
+   * @returns {Promise<void>}
+   */
+  async openSkillRollOptions(skillId, label, anchor) {
+    const abilities = Object.fromEntries(Object.entries(CONFIG.DND5E?.abilities ?? {})
+      .map(([id, ability]) => [id, game.i18n.localize(ability.label ?? id)]));
+    const options = await showRollOptions({
+      anchor,
+      title: label,
+      abilities,
+      ability: this.actor?.system?.skills?.[skillId]?.ability ?? CONFIG.DND5E?.skills?.[skillId]?.ability,
+      actions: [{ action: 'roll', label: game.i18n.localize(`${MODULE_ID}.RollOptions.Roll`) }]
+    });
+    if (!options || !this.actor?.system?.skills?.[skillId]) return;
+
+    const { config, dialog, message } = getRollArguments(options);
+    try {
+      await this.actor.rollSkill({ ...config, skill: skillId, ability: options.ability }, dialog, message);
+    } catch (err) {
+      console.error('[bg3-hud-dnd5e] DnD5e Info | Skill roll with options failed', { skillId, error: err });
+    }
+  }
+
   /**
    * Render the ability scores header row
    * Each block: icon + short name, full name, large score, d20 with modifier
-   * Left-click = ability check, Right-click = saving throw
+   * Left-click = ability check, Right-click = saving throw, Shift+click = roll options
    * @returns {Promise<HTMLElement>}
    * @private
    */
@@ -123,34 +181,40 @@ export class DnD5eInfoContainer extends InfoContainer {
       d20Wrapper.appendChild(d20Value);
       block.appendChild(d20Wrapper);
 
-      // Left-click → ability check
+      // Left-click → ability check, Shift+click → roll options
       this.addEventListener(block, 'click', (e) => {
         e.preventDefault();
         e.stopPropagation();
+        if (e.shiftKey) {
+          this.openAbilityRollOptions(abilityId, abilityNames[abilityId], block);
+          return;
+        }
         try {
           this.actor.rollAbilityCheck({
             ability: abilityId,
             event: e,
             advantage: e.altKey,
-            disadvantage: e.ctrlKey,
-            fastForward: e.shiftKey
+            disadvantage: e.ctrlKey
           });
         } catch (err) {
           console.error('[bg3-hud-dnd5e] DnD5e Info | Ability check roll failed', { abilityId, error: err });
         }
       });
 
-      // Right-click → saving throw
+      // Right-click → saving throw, Shift+right-click → roll options
       this.addEventListener(block, 'contextmenu', (e) => {
         e.preventDefault();
         e.stopPropagation();
+        if (e.shiftKey) {
+          this.openAbilityRollOptions(abilityId, abilityNames[abilityId], block);
+          return;
+        }
         try {
           this.actor.rollSavingThrow({
             ability: abilityId,
             event: e,
             advantage: e.altKey,
-            disadvantage: e.ctrlKey,
-            fastForward: e.shiftKey
+            disadvantage: e.ctrlKey
           });
         } catch (err) {
           console.error('[bg3-hud-dnd5e] DnD5e Info | Save roll failed', { abilityId, error: err });
@@ -160,7 +224,8 @@ export class DnD5eInfoContainer extends InfoContainer {
       // Tooltip
       const checkLabel = game.i18n.localize(`${MODULE_ID}.Info.CheckTooltip`);
       const saveLabel = game.i18n.localize(`${MODULE_ID}.Info.SaveTooltip`);
-      block.setAttribute('data-tooltip', `${checkLabel} / ${saveLabel}`);
+      const optionsLabel = game.i18n.localize(`${MODULE_ID}.Info.RollOptionsTooltip`);
+      block.setAttribute('data-tooltip', `${checkLabel} / ${saveLabel}<br>${optionsLabel}`);
       block.setAttribute('data-tooltip-direction', 'UP');
 
       header.appendChild(block);
@@ -241,12 +306,17 @@ export class DnD5eInfoContainer extends InfoContainer {
         abilitySpan.textContent = entry.abilityKey;
         skillDiv.appendChild(abilitySpan);
 
-        // Click to roll skill
+        // Click to roll skill, Shift+click or right-click for roll options
         const skillId = entry.id;
         this.addEventListener(skillDiv, 'click', (e) => {
           e.preventDefault();
           e.stopPropagation();
 
+          if (e.shiftKey) {
+            this.openSkillRollOptions(skillId, entry.label, skillDiv);
+            return;
+          }
+
           if (!this.actor?.system?.skills?.[skillId]) {
             console.warn('[bg3-hud-dnd5e] DnD5e Info | Skill data not ready', { skillId });
             return;
@@ -257,14 +327,21 @@ export class DnD5eInfoContainer extends InfoContainer {
               skill: skillId,
               event: e,
               advantage: e.altKey,
-              disadvantage: e.ctrlKey,
-              fastForward: e.shiftKey
+              disadvantage: e.ctrlKey
             });
           } catch (err) {
             console.error('[bg3-hud-dnd5e] DnD5e Info | Skill roll failed', { skillId, error: err });
           }
         });
 
+        this.addEventListener(skillDiv, 'contextmenu', (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          this.openSkillRollOptions(skillId, entry.label, skillDiv);
+        });
+        skillDiv.setAttribute('data-tooltip', game.i18n.localize(`${MODULE_ID}.Info.SkillRollOptionsTooltip`));
+        skillDiv.setAttribute('data-tooltip-direction', 'UP');
+
         column.appendChild(skillDiv);
       }
 
@@ -3,6 +3,9 @@
  * This will be dynamically created to extend the core PortraitContainer
  * when the module loads and core is available
  */
+import { applyHPInput } from '../../utils/hpMath.js';
+import { HP_SOURCES } from '../../features/DnD5eHPHistory.js';
+
 export async function createDnD5ePortraitContainer() {
     // Import core components dynamically
     const { PortraitContainer } = await import('/modules/bg3-hud-core/scripts/components/containers/PortraitContainer.js');
@@ -26,6 +29,8 @@ export async function createDnD5ePortraitContainer() {
             this.actor = options.actor;
             this.token = options.token;
             this.parent = options.parent;
+            // Current + temp HP at the last update, for the floating change number
+            this._lastTotal = null;
         }
 
         /**
@@ -73,6 +78,7 @@ export async function createDnD5ePortraitContainer() {
 
             const health = this.getHealth();
             const hpControls = this.canModifyHP();
+            this._lastTotal = health.current + health.temp;
 
             // Clear existing content
             this.element.innerHTML = '';
@@ -106,10 +112,10 @@ export async function createDnD5ePortraitContainer() {
                         event.preventDefault();
                         event.stopPropagation();
                         if (this.actor.system.attributes.hp.value > 0 || this.actor.system.attributes.hp.temp > 0) {
-                            await this.actor.update({
+                            await this._fromHUD(() => this.actor.update({
                                 'system.attributes.hp.value': 0,
                                 'system.attributes.hp.temp': 0
-                            });
+                            }));
                         }
                     });
                     hpControlsDiv.appendChild(deathBtn);
@@ -120,6 +126,7 @@ export async function createDnD5ePortraitContainer() {
                 hpInput.type = 'text';
                 hpInput.value = health.current + health.temp;
                 hpInput.max = health.max;
+                hpInput.dataset.tooltip = game.i18n.localize('bg3-hud-dnd5e.HPInput.Hint');
 
                 // Input event handlers
                 this.addEventListener(hpInput, 'click', (event) => {
@@ -139,13 +146,22 @@ export async function createDnD5ePortraitContainer() {
                 });
 
                 this.addEventListener(hpInput, 'focusout', async (event) => {
-                    const inputValue = event.currentTarget.value.trim();
-                    const { value, delta, isDelta } = this._parseAttributeInput(inputValue);
+                    const input = event.currentTarget;
+                    const inputValue = input.value.trim();
 
-                    await this.actor.modifyTokenAttribute('attributes.hp', isDelta ? delta : value, isDelta);
+                    try {
+                        const applied = await this._fromHUD(() => applyHPInput(this.actor, inputValue));
+                        if (!applied && inputValue) {
+                            ui.notifications.warn(game.i18n.format('bg3-hud-dnd5e.HPInput.Invalid', { input: inputValue }));
+                        }
+                    } catch (error) {
+                        console.error('[bg3-hud-dnd5e] PortraitHealth | Failed to apply HP input:', error);
+                    }
 
-                    if (isDelta && event.target.value === inputValue) {
-                        event.target.value = this.actor.system.attributes.hp.value;
+                    // Show the resulting total instead of the typed expression
+                    if (input.value.trim() === inputValue) {
+                        const hp = this.actor.system.attributes.hp;
+                        input.value = (hp.value ?? 0) + (hp.temp ?? 0);
                     }
 
                     this.element.dataset.hpLocked = 'false';
@@ -163,7 +179,7 @@ export async function createDnD5ePortraitContainer() {
                         event.preventDefault();
                         event.stopPropagation();
                         if (this.actor.system.attributes.hp.value < this.actor.system.attributes.hp.max) {
-                            await this.actor.update({ 'system.attributes.hp.value': this.actor.system.attributes.hp.max });
+                            await this._fromHUD(() => this.actor.update({ 'system.attributes.hp.value': this.actor.system.attributes.hp.max }));
                         }
                     });
                     hpControlsDiv.appendChild(fullBtn);
@@ -193,6 +209,7 @@ export async function createDnD5ePortraitContainer() {
             }
 
             const health = this.getHealth();
+            this._showChange(health);
 
             // Update temp HP
             const existingTempHp = this.element.querySelector('.temp-hp-text');
@@ -225,34 +242,31 @@ export async function createDnD5ePortraitContainer() {
         }
 
         /**
-         * Parse HP input (supports =, +, -, %)
-         * @param {string} input - The input string
-         * @returns {Object} Parsed value and delta
+         * Make HP updates that the HP history records as coming from the HUD
+         * @param {Function} fn - Async function making the updates
+         * @returns {Promise<*>} Whatever fn returns
          * @private
          */
-        _parseAttributeInput(input) {
-            const isEqual = input.startsWith("=");
-            const isDelta = input.startsWith("+") || input.startsWith("-");
-            const current = this.actor.system.attributes.hp.value;
-            let v;
-
-            // Explicit equality
-            if (isEqual) input = input.slice(1);
-
-            // Percentage change
-            if (input.endsWith("%")) {
-                const p = Number(input.slice(0, -1)) / 100;
-                v = this.actor.system.attributes.hp.max * p;
-            }
-            // Additive delta
-            else {
-                v = Number(input);
-            }
+        _fromHUD(fn) {
+            const history = ui.BG3HOTBAR?.registry?.activeAdapter?.hpHistory;
+            return history ? history.withSource('hud', fn) : fn();
+        }
 
-            // Return parsed input
-            const value = isDelta ? current + v : v;
-            const delta = isDelta ? v : undefined;
-            return { value, delta, isDelta };
+        /**
+         * Float the HP change since the last update above the HP text
+         * @param {Object} health - Health data from getHealth()
+         * @private
+         */
+        _showChange(health) {
+            const total = health.current + health.temp;
+            const change = this._lastTotal === null ? 0 : total - this._lastTotal;
+            this._lastTotal = total;
+            if (change === 0 || !this.element.isConnected) return;
+
+            const float = this.createElement('div', ['bg3-hp-float', change > 0 ? 'healing' : 'damage']);
+            float.textContent = change > 0 ? `+${change}` : `${change}`;
+            float.addEventListener('animationend', () => float.remove(), { once: true });
+            this.element.appendChild(float);
         }
     }
 
@@ -272,6 +286,26 @@ export async function createDnD5ePortraitContainer() {
             super(options);
             this.actor = options.actor;
             this.token = options.token;
+            this._lastState = this.getDeathSaveState();
+        }
+
+        /**
+         * Get the adapter's death save automation feature
+         * @returns {Object|null}
+         */
+        getDeathSaveFeature() {
+            return ui.BG3HOTBAR?.registry?.activeAdapter?.deathSaves ?? null;
+        }
+
+        /**
+         * Snapshot HP and death save counts, used to detect outcomes between updates
+         * @returns {{hp: number, success: number, failure: number}}
+         */
+        getDeathSaveState() {
+            return {
+                hp: this.actor?.system.attributes?.hp?.value ?? 0,
+                ...this.getDeathSaveData()
+            };
         }
 
         /**
@@ -292,11 +326,46 @@ export async function createDnD5ePortraitContainer() {
          */
         getDeathSaveData() {
             return {
-                success: this.actor.system.attributes?.death?.success || 0,
-                failure: this.actor.system.attributes?.death?.failure || 0
+                success: this.actor?.system.attributes?.death?.success || 0,
+                failure: this.actor?.system.attributes?.death?.failure || 0
             };
         }
 
+        /**
+         * Work out which outcome animation (if any) a state change represents
+         * @param {{hp: number, success: number, failure: number}} previous - Previous state
+         * @param {{hp: number, success: number, failure: number}} current - Current state
+         * @returns {string|null} 'revive', 'crit-fail', 'dead', 'stable' or null
+         */
+        _detectOutcome(previous, current) {
+            if (previous.hp <= 0 && current.hp > 0) return 'revive';
+            if (current.hp > 0) return null;
+            if (previous.failure < 3 && current.failure >= 3) return 'dead';
+            if (current.failure - previous.failure >= 2) return 'crit-fail';
+            // dnd5e resets the pips when the third success is rolled
+            if (previous.success >= 2 && current.success === 0 && current.failure === 0) return 'stable';
+            return null;
+        }
+
+        /**
+         * Play an outcome animation on the death saves container
+         * @param {string} outcome - Outcome from _detectOutcome()
+         */
+        playOutcome(outcome) {
+            if (!this.element || !outcome) return;
+
+            const className = `outcome-${outcome}`;
+            this.element.classList.remove('outcome-revive', 'outcome-crit-fail', 'outcome-dead', 'outcome-stable');
+            // Force reflow so the animation restarts when the same outcome repeats
+            void this.element.offsetWidth;
+            this.element.classList.add(className);
+
+            clearTimeout(this._outcomeTimeout);
+            this._outcomeTimeout = setTimeout(() => {
+                this.element?.classList.remove(className);
+            }, 1500);
+        }
+
         /**
          * Render the death saves display
          * @returns {Promise<HTMLElement>}
@@ -417,15 +486,33 @@ export async function createDnD5ePortraitContainer() {
                 return;
             }
 
+            // Animate outcomes (nat 20 revival, nat 1 double failure, stable, dead)
+            const previousState = this._lastState ?? this.getDeathSaveState();
+            const currentState = this.getDeathSaveState();
+            this._lastState = currentState;
+
+            const outcome = this._detectOutcome(previousState, currentState);
+            if (outcome && this.getDeathSaveFeature()?.isEnabled()) {
+                this.playOutcome(outcome);
+            }
+
             // Update visibility
             if (!this.isVisible()) {
-                this.element.style.opacity = '0';
-                // After fade, set display none
+                // Back above 0 HP: clear leftover pips and the stable status
+                await this.getDeathSaveFeature()?.clearOnRecovery(this.actor);
+
+                // Let the revive animation play before fading out
+                const fadeDelay = outcome === 'revive' && this.element.classList.contains('outcome-revive') ? 1200 : 0;
                 setTimeout(() => {
-                    if (!this.isVisible()) {
-                        this.element.style.display = 'none';
-                    }
-                }, 200);
+                    if (!this.element || this.isVisible()) return;
+                    this.element.style.opacity = '0';
+                    // After fade, set display none
+                    setTimeout(() => {
+                        if (!this.isVisible()) {
+                            this.element.style.display = 'none';
+                        }
+                    }, 200);
+                }, fadeDelay);
                 return;
             }
 
@@ -504,17 +591,13 @@ export async function createDnD5ePortraitContainer() {
             if (!this.actor || this.actor.type !== 'character') return;
 
             try {
-                // Roll death save with appropriate modifiers
-                const hidePips = game.settings.get('bg3-hud-dnd5e', 'hideDeathSaves');
-                const rollOptions = {
+                // Roll death save with appropriate modifiers (blind roll when pips are hidden)
+                const roll = await this.getDeathSaveFeature()?.rollDeathSave(this.actor, {
                     event: event,
                     advantage: event.altKey,
                     disadvantage: event.ctrlKey,
                     fastForward: event.shiftKey
-                };
-                const messageOptions = hidePips ? { rollMode: 'blindroll' } : {};
-                
-                const roll = await this.actor.rollDeathSave(rollOptions, {}, messageOptions);
+                });
 
                 if (roll) {
                     // Update display after roll
@@ -537,6 +620,833 @@ export async function createDnD5ePortraitContainer() {
                 'system.attributes.death.failure': 0
             });
         }
+
+        /**
+         * Destroy the component and cancel pending outcome animations
+         */
+        destroy() {
+            clearTimeout(this._outcomeTimeout);
+            super.destroy();
+        }
+    }
+
+    /**
+     * Concentration Indicator Component
+     * Shows the spell(s) the actor is concentrating on with remaining duration.
+     * Clicking a badge ends that concentration.
+     */
+    class ConcentrationIndicator extends BG3Component {
+        /**
+         * Create a new concentration indicator
+         * @param {Object} options - Component options
+         * @param {Actor} options.actor - The actor
+         * @param {Token} options.token - The token
+         */
+        constructor(options = {}) {
+            super(options);
+            this.actor = options.actor;
+            this.token = options.token;
+        }
+
+        /**
+         * Get the adapter's concentration feature
+         * @returns {Object|null}
+         */
+        getConcentrationFeature() {
+            return ui.BG3HOTBAR?.registry?.activeAdapter?.concentration ?? null;
+        }
+
+        /**
+         * Render the concentration badges (re-rendered in place on change)
+         * @returns {Promise<HTMLElement>}
+         */
+        async render() {
+            if (!this.element) {
+                this.element = this.createElement('div', ['bg3-concentration-container']);
+                // Mark as UI element to prevent system tooltips (dnd5e2, etc.) from showing
+                this.element.dataset.bg3Ui = 'true';
+            }
+
+            this.element.innerHTML = '';
+
+            const feature = this.getConcentrationFeature();
+            const entries = feature ? feature.getConcentration(this.actor) : [];
+            if (entries.length === 0) {
+                this.element.style.display = 'none';
+                return this.element;
+            }
+
+            this.element.style.display = 'flex';
+            const canModify = this.actor?.isOwner ?? false;
+
+            for (const entry of entries) {
+                const badge = this.createElement('div', ['concentration-badge']);
+                badge.dataset.bg3Ui = 'true';
+                badge.dataset.tooltip = canModify
+                    ? game.i18n.format('bg3-hud-dnd5e.Concentration.Tooltip', { name: entry.name })
+                    : entry.name;
+                badge.dataset.tooltipDirection = 'UP';
+
+                const icon = this.createElement('i', ['fas', 'fa-brain', 'concentration-icon']);
+                badge.appendChild(icon);
+
+                const name = this.createElement('span', ['concentration-name']);
+                name.textContent = entry.name;
+                badge.appendChild(name);
+
+                if (entry.duration) {
+                    const duration = this.createElement('span', ['concentration-duration']);
+                    duration.textContent = entry.duration;
+                    badge.appendChild(duration);
+                }
+
+                if (canModify) {
+                    this.addEventListener(badge, 'click', async (event) => {
+                        event.preventDefault();
+                        event.stopPropagation();
+                        await feature.endConcentration(this.actor, entry.effect);
+                    });
+                }
+
+                this.element.appendChild(badge);
+            }
+
+            return this.element;
+        }
+    }
+
+    /**
+     * Condition Strip Component
+     * Shows the actor's active conditions and exhaustion level along the portrait.
+     * Click opens the rule reference, right-click removes the condition (or one exhaustion
+     * level); owners get a quick-add palette of the standard conditions.
+     */
+    class ConditionStrip extends BG3Component {
+        /**
+         * Create a new condition strip
+         * @param {Object} options - Component options
+         * @param {Actor} options.actor - The actor
+         * @param {Token} options.token - The token
+         */
+        constructor(options = {}) {
+            super(options);
+            this.actor = options.actor;
+            this.token = options.token;
+            this._paletteOpen = false;
+        }
+
+        /**
+         * Get the adapter's conditions feature
+         * @returns {Object|null}
+         */
+        getConditionsFeature() {
+            return ui.BG3HOTBAR?.registry?.activeAdapter?.conditions ?? null;
+        }
+
+        /**
+         * Build a condition icon
+         * @param {{id: string, name: string, img: string}} condition - The condition
+         * @param {string} tooltip - Tooltip HTML
+         * @returns {HTMLElement}
+         */
+        _createIcon(condition, tooltip) {
+            const icon = this.createElement('div', ['condition-icon']);
+            icon.dataset.bg3Ui = 'true';
+            icon.dataset.condition = condition.id;
+            icon.dataset.tooltip = tooltip;
+            icon.dataset.tooltipDirection = 'LEFT';
+
+            const img = this.createElement('img');
+            img.src = condition.img;
+            icon.appendChild(img);
+            return icon;
+        }
+
+        /**
+         * Build the exhaustion icon with its level
+         * @param {Object} feature - The conditions feature
+         * @param {{value: number, max: number}} exhaustion - Exhaustion level
+         * @param {boolean} canModify - Whether the user can change it
+         * @returns {HTMLElement}
+         */
+        _createExhaustionIcon(feature, exhaustion, canModify) {
+            const condition = feature.getCondition('exhaustion');
+            const tooltip = [`<strong>${foundry.utils.escapeHTML(condition.name)} ${exhaustion.value}</strong>`, feature.getExhaustionText(exhaustion.value)];
+            if (canModify) tooltip.push(game.i18n.localize('bg3-hud-dnd5e.Conditions.ExhaustionControls'));
+
+            const icon = this._createIcon(condition, tooltip.join('<br>'));
+            icon.classList.add('exhaustion');
+
+            const level = this.createElement('span', ['condition-level']);
+            level.textContent = exhaustion.value;
+            icon.appendChild(level);
+
+            this.addEventListener(icon, 'click', async (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                await feature.showReference('exhaustion');
+            });
+
+            if (canModify) {
+                this.addEventListener(icon, 'contextmenu', async (event) => {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    await feature.setExhaustion(this.actor, exhaustion.value - 1);
+                });
+            }
+            return icon;
+        }
+
+        /**
+         * Build the quick-add palette
+         * @param {Object} feature - The conditions feature
+         * @param {{value: number, max: number}|null} exhaustion - Exhaustion level
+         * @returns {HTMLElement}
+         */
+        _createPalette(feature, exhaustion) {
+            const palette = this.createElement('div', ['condition-palette']);
+            palette.dataset.bg3Ui = 'true';
+
+            for (const condition of feature.getPaletteConditions()) {
+                const active = this.actor.statuses?.has(condition.id) ?? false;
+                const option = this._createIcon(condition, condition.name);
+                option.dataset.tooltipDirection = 'UP';
+                option.classList.toggle('active', active);
+                this.addEventListener(option, 'click', async (event) => {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    await feature.setCondition(this.actor, condition.id, !active);
+                });
+                palette.appendChild(option);
+            }
+
+            if (exhaustion) {
+                const condition = feature.getCondition('exhaustion');
+                const option = this._createIcon(condition, game.i18n.localize('bg3-hud-dnd5e.Conditions.AddExhaustion'));
+                option.dataset.tooltipDirection = 'UP';
+                option.classList.toggle('active', exhaustion.value > 0);
+                this.addEventListener(option, 'click', async (event) => {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    await feature.setExhaustion(this.actor, exhaustion.value + 1);
+                });
+                palette.appendChild(option);
+            }
+
+            return palette;
+        }
+
+        /**
+         * Render the condition strip (re-rendered in place on change)
+         * @returns {Promise<HTMLElement>}
+         */
+        async render() {
+            if (!this.element) {
+                this.element = this.createElement('div', ['bg3-condition-strip']);
+                // Mark as UI element to prevent system tooltips (dnd5e2, etc.) from showing
+                this.element.dataset.bg3Ui = 'true';
+            }
+
+            this.element.innerHTML = '';
+
+            const feature = this.getConditionsFeature();
+            if (!feature?.isEnabled() || !this.actor) {
+                this.element.style.display = 'none';
+                return this.element;
+            }
+
+            const canModify = this.actor.isOwner ?? false;
+            const conditions = feature.getConditions(this.actor);
+            const exhaustion = feature.getExhaustion(this.actor);
+            if (conditions.length === 0 && !exhaustion?.value && !canModify) {
+                this.element.style.display = 'none';
+                return this.element;
+            }
+
+            this.element.style.display = 'flex';
+
+            if (exhaustion?.value > 0) {
+                this.element.appendChild(this._createExhaustionIcon(feature, exhaustion, canModify));
+            }
+
+            for (const condition of conditions) {
+                const tooltip = [`<strong>${foundry.utils.escapeHTML(condition.name)}</strong>`];
+                tooltip.push(game.i18n.localize(canModify
+                    ? 'bg3-hud-dnd5e.Conditions.Controls'
+                    : 'bg3-hud-dnd5e.Conditions.ViewReference'));
+                const icon = this._createIcon(condition, tooltip.join('<br>'));
+
+                this.addEventListener(icon, 'click', async (event) => {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    await feature.showReference(condition.id);
+                });
+
+                if (canModify) {
+                    this.addEventListener(icon, 'contextmenu', async (event) => {
+                        event.preventDefault();
+                        event.stopPropagation();
+                        await feature.setCondition(this.actor, condition.id, false);
+                    });
+                }
+
+                this.element.appendChild(icon);
+            }
+
+            if (canModify) {
+                const addButton = this.createElement('div', ['condition-add']);
+                addButton.dataset.bg3Ui = 'true';
+                addButton.dataset.tooltip = game.i18n.localize('bg3-hud-dnd5e.Conditions.Add');
+                addButton.dataset.tooltipDirection = 'LEFT';
+                addButton.innerHTML = `<i class="fas ${this._paletteOpen ? 'fa-times' : 'fa-plus'}"></i>`;
+                this.addEventListener(addButton, 'click', (event) => {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    this._paletteOpen = !this._paletteOpen;
+                    this.render();
+                });
+                this.element.appendChild(addButton);
+
+                if (this._paletteOpen) {
+                    this.element.appendChild(this._createPalette(feature, exhaustion));
+                }
+            }
+
+            return this.element;
+        }
+    }
+
+    /**
+     * Effects Panel Component
+     * Shows the actor's temporary effects with their remaining duration along the portrait.
+     * Click toggles an effect, right-click deletes it. Effects that run out at the end of
+     * the current turn pulse.
+     */
+    class EffectsPanel extends BG3Component {
+        /**
+         * Create a new effects panel
+         * @param {Object} options - Component options
+         * @param {Actor} options.actor - The actor
+         * @param {Token} options.token - The token
+         */
+        constructor(options = {}) {
+            super(options);
+            this.actor = options.actor;
+            this.token = options.token;
+        }
+
+        /**
+         * Get the adapter's effects feature
+         * @returns {Object|null}
+         */
+        getEffectsFeature() {
+            return ui.BG3HOTBAR?.registry?.activeAdapter?.effects ?? null;
+        }
+
+        /**
+         * Render the effects panel (re-rendered in place on change)
+         * @returns {Promise<HTMLElement>}
+         */
+        async render() {
+            if (!this.element) {
+                this.element = this.createElement('div', ['bg3-effects-panel']);
+                // Mark as UI element to prevent system tooltips (dnd5e2, etc.) from showing
+                this.element.dataset.bg3Ui = 'true';
+            }
+
+            this.element.innerHTML = '';
+
+            const feature = this.getEffectsFeature();
+            const entries = feature?.isEnabled() ? feature.getEffects(this.actor) : [];
+            if (entries.length === 0) {
+                this.element.style.display = 'none';
+                return this.element;
+            }
+
+            this.element.style.display = 'flex';
+
+            for (const entry of entries) {
+                const canModify = entry.effect.isOwner;
+                const badge = this.createElement('div', ['effect-badge']);
+                badge.dataset.bg3Ui = 'true';
+                badge.dataset.tooltipDirection = 'RIGHT';
+                if (entry.disabled) badge.classList.add('disabled');
+                if (entry.expiring) badge.classList.add('expiring');
+
+                const tooltip = [`<strong>${foundry.utils.escapeHTML(entry.name)}</strong>`];
+                if (entry.source) {
+                    tooltip.push(game.i18n.format('bg3-hud-dnd5e.Effects.Source', { source: foundry.utils.escapeHTML(entry.source) }));
+                }
+                if (entry.duration) {
+                    tooltip.push(game.i18n.format('bg3-hud-dnd5e.Effects.Remaining', { duration: entry.duration }));
+                }
+                if (entry.expiring) tooltip.push(game.i18n.localize('bg3-hud-dnd5e.Effects.Expiring'));
+                if (entry.disabled) tooltip.push(game.i18n.localize('bg3-hud-dnd5e.Effects.Disabled'));
+                if (canModify) tooltip.push(game.i18n.localize('bg3-hud-dnd5e.Effects.Controls'));
+                badge.dataset.tooltip = tooltip.join('<br>');
+
+                const img = this.createElement('img', ['effect-icon']);
+                img.src = entry.img;
+                badge.appendChild(img);
+
+                if (entry.duration) {
+                    const duration = this.createElement('span', ['effect-duration']);
+                    duration.textContent = entry.duration;
+                    badge.appendChild(duration);
+                }
+
+                if (canModify) {
+                    this.addEventListener(badge, 'click', async (event) => {
+                        event.preventDefault();
+                        event.stopPropagation();
+                        await feature.toggle(entry.effect);
+                    });
+
+                    this.addEventListener(badge, 'contextmenu', async (event) => {
+                        event.preventDefault();
+                        event.stopPropagation();
+                        await feature.delete(entry.effect);
+                    });
+                }
+
+                this.element.appendChild(badge);
+            }
+
+            return this.element;
+        }
+    }
+
+    /**
+     * Resource Strip Component
+     * Shows class resource pools as pips (small pools) or counters (large pools).
+     * Left-click spends one use, right-click restores one.
+     */
+    class ResourceStrip extends BG3Component {
+        /**
+         * Pools larger than this are shown as a counter instead of pips
+         */
+        static MAX_PIPS = 10;
+
+        /**
+         * Create a new resource strip
+         * @param {Object} options - Component options
+         * @param {Actor} options.actor - The actor
+         * @param {Token} options.token - The token
+         */
+        constructor(options = {}) {
+            super(options);
+            this.actor = options.actor;
+            this.token = options.token;
+        }
+
+        /**
+         * Get the adapter's class resources feature
+         * @returns {Object|null}
+         */
+        getResourceFeature() {
+            return ui.BG3HOTBAR?.registry?.activeAdapter?.classResources ?? null;
+        }
+
+        /**
+         * Render the resource strip (re-rendered in place on change)
+         * @returns {Promise<HTMLElement>}
+         */
+        async render() {
+            if (!this.element) {
+                this.element = this.createElement('div', ['bg3-resource-strip']);
+                // Mark as UI element to prevent system tooltips (dnd5e2, etc.) from showing
+                this.element.dataset.bg3Ui = 'true';
+            }
+
+            this.element.innerHTML = '';
+
+            const feature = this.getResourceFeature();
+            const resources = feature?.isEnabled() ? feature.getResources(this.actor) : [];
+            if (resources.length === 0) {
+                this.element.style.display = 'none';
+                return this.element;
+            }
+
+            this.element.style.display = 'flex';
+            const canModify = this.actor?.isOwner ?? false;
+
+            for (const resource of resources) {
+                const entry = this.createElement('div', ['resource-entry']);
+                entry.dataset.resource = resource.id;
+                entry.dataset.bg3Ui = 'true';
+                entry.dataset.tooltipDirection = 'UP';
+
+                const tooltip = [`<strong>${foundry.utils.escapeHTML(resource.label)}</strong> (${resource.value}/${resource.max})`];
+                if (resource.recovery) {
+                    tooltip.push(game.i18n.format('bg3-hud-dnd5e.Resources.Recovery', { period: resource.recovery }));
+                }
+                if (canModify) {
+                    tooltip.push(game.i18n.localize('bg3-hud-dnd5e.Resources.Controls'));
+                }
+                entry.dataset.tooltip = tooltip.join('<br>');
+
+                if (resource.img) {
+                    const img = this.createElement('img', ['resource-icon']);
+                    img.src = resource.img;
+                    entry.appendChild(img);
+                } else {
+                    entry.appendChild(this.createElement('i', ['fas', 'fa-gem', 'resource-icon']));
+                }
+
+                if (resource.max <= ResourceStrip.MAX_PIPS) {
+                    const pips = this.createElement('div', ['resource-pips']);
+                    for (let i = 0; i < resource.max; i++) {
+                        const pip = this.createElement('span', ['resource-pip']);
+                        if (i >= resource.value) pip.classList.add('spent');
+                        pips.appendChild(pip);
+                    }
+                    entry.appendChild(pips);
+                } else {
+                    const counter = this.createElement('span', ['resource-counter']);
+                    counter.textContent = `${resource.value}/${resource.max}`;
+                    entry.appendChild(counter);
+                }
+
+                if (canModify) {
+                    this.addEventListener(entry, 'click', async (event) => {
+                        event.preventDefault();
+                        event.stopPropagation();
+                        await feature.spend(this.actor, resource);
+                    });
+
+                    this.addEventListener(entry, 'contextmenu', async (event) => {
+                        event.preventDefault();
+                        event.stopPropagation();
+                        await feature.restore(this.actor, resource);
+                    });
+                }
+
+                this.element.appendChild(entry);
+            }
+
+            return this.element;
+        }
+    }
+
+    /**
+     * Legendary Panel Component
+     * For legendary NPCs: the legendary action pool as pips, legendary actions with their
+     * cost (click to use), legendary resistances and lair actions.
+     * Clicking a pip sets the remaining pool.
+     */
+    class LegendaryPanel extends BG3Component {
+        /**
+         * Create a new legendary panel
+         * @param {Object} options - Component options
+         * @param {Actor} options.actor - The actor
+         * @param {Token} options.token - The token
+         */
+        constructor(options = {}) {
+            super(options);
+            this.actor = options.actor;
+            this.token = options.token;
+        }
+
+        /**
+         * Get the adapter's legendary actions feature
+         * @returns {Object|null}
+         */
+        getLegendaryFeature() {
+            return ui.BG3HOTBAR?.registry?.activeAdapter?.legendary ?? null;
+        }
+
+        /**
+         * Get the adapter's legendary resistance feature
+         * @returns {Object|null}
+         */
+        getResistanceFeature() {
+            return ui.BG3HOTBAR?.registry?.activeAdapter?.legendaryResistance ?? null;
+        }
+
+        /**
+         * Build a row of clickable pips for a pool
+         * Clicking the last remaining pip spends it, any other pip sets the pool to it.
+         * @param {{value: number, max: number}} pool - The pool
+         * @param {Function|null} setValue - Called with the new value, or null if read-only
+         * @returns {HTMLElement}
+         */
+        _createPips(pool, setValue) {
+            const pips = this.createElement('div', ['legendary-pips']);
+            for (let i = 0; i < pool.max; i++) {
+                const pip = this.createElement('span', ['legendary-pip']);
+                if (i >= pool.value) pip.classList.add('spent');
+                if (setValue) {
+                    this.addEventListener(pip, 'click', async (event) => {
+                        event.preventDefault();
+                        event.stopPropagation();
+                        await setValue(i + 1 === pool.value ? i : i + 1);
+                    });
+                }
+                pips.appendChild(pip);
+            }
+            pips.dataset.tooltip = `${pool.value}/${pool.max}`;
+            return pips;
+        }
+
+        /**
+         * Build the legendary resistance row: pips plus a "use" button
+         * @param {Object} resistance - The legendary resistance feature
+         * @param {{value: number, max: number}} pool - The resistance pool
+         * @param {boolean} canModify - Whether the user can spend resistances
+         * @returns {HTMLElement}
+         */
+        _createResistanceRow(resistance, pool, canModify) {
+            const row = this.createElement('div', ['legendary-resistance']);
+            row.dataset.bg3Ui = 'true';
+
+            const label = this.createElement('span', ['legendary-resistance-label']);
+            label.innerHTML = '<i class="fas fa-shield-halved"></i> ';
+            label.append(game.i18n.localize('bg3-hud-dnd5e.LegendaryResistance.Title'));
+            row.appendChild(label);
+
+            row.appendChild(this._createPips(pool, canModify ? (value) => resistance.setPool(this.actor, value) : null));
+
+            if (canModify) {
+                const useButton = this.createElement('button', ['legendary-resistance-use']);
+                useButton.type = 'button';
+                useButton.innerHTML = '<i class="fas fa-check"></i>';
+                useButton.dataset.tooltip = game.i18n.localize('bg3-hud-dnd5e.LegendaryResistance.Use');
+                useButton.disabled = pool.value <= 0;
+                this.addEventListener(useButton, 'click', async (event) => {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    await resistance.use(this.actor);
+                });
+                row.appendChild(useButton);
+            }
+
+            return row;
+        }
+
+        /**
+         * Build a clickable action row
+         * @param {Object} feature - The legendary actions feature
+         * @param {{item: Item, activity: Object, cost: number}} entry - Action entry
+         * @param {Object} options
+         * @param {boolean} options.showCost - Show the legendary action cost
+         * @param {boolean} options.affordable - Whether the pool covers the cost
+         * @param {boolean} options.canModify - Whether the user can use the action
+         * @returns {HTMLElement}
+         */
+        _createActionRow(feature, entry, { showCost, affordable, canModify }) {
+            const row = this.createElement('div', ['legendary-action']);
+            row.dataset.bg3Ui = 'true';
+            if (!affordable) row.classList.add('unaffordable');
+
+            const img = this.createElement('img', ['legendary-action-icon']);
+            img.src = entry.activity.img || entry.item.img;
+            row.appendChild(img);
+
+            const name = this.createElement('span', ['legendary-action-name']);
+            name.textContent = entry.item.name === entry.activity.name
+                ? entry.item.name
+                : `${entry.item.name}: ${entry.activity.name}`;
+            row.appendChild(name);
+
+            if (showCost) {
+                const cost = this.createElement('span', ['legendary-action-cost']);
+                cost.textContent = entry.cost;
+                cost.dataset.tooltip = game.i18n.format('bg3-hud-dnd5e.Legendary.Cost', { cost: entry.cost });
+                row.appendChild(cost);
+            }
+
+            if (canModify) {
+                this.addEventListener(row, 'click', async (event) => {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    await feature.use(entry);
+                });
+            }
+
+            return row;
+        }
+
+        /**
+         * Render the panel (re-rendered in place on change)
+         * @returns {Promise<HTMLElement>}
+         */
+        async render() {
+            if (!this.element) {
+                this.element = this.createElement('div', ['bg3-legendary-panel']);
+                // Mark as UI element to prevent system tooltips (dnd5e2, etc.) from showing
+                this.element.dataset.bg3Ui = 'true';
+            }
+
+            this.element.innerHTML = '';
+
+            const feature = this.getLegendaryFeature();
+            if (!feature?.shouldShow(this.actor)) {
+                this.element.style.display = 'none';
+                return this.element;
+            }
+
+            this.element.style.display = 'flex';
+            const canModify = this.actor?.isOwner ?? false;
+            const pool = feature.getPool(this.actor);
+            const legendaryActions = feature.getLegendaryActions(this.actor);
+            const lairActions = feature.getLairActions(this.actor);
+
+            const header = this.createElement('div', ['legendary-header']);
+            const title = this.createElement('span', ['legendary-title']);
+            title.textContent = game.i18n.localize('bg3-hud-dnd5e.Legendary.Title');
+            header.appendChild(title);
+
+            if (pool) {
+                header.appendChild(this._createPips(pool, canModify ? (value) => feature.setPool(this.actor, value) : null));
+            }
+            this.element.appendChild(header);
+
+            const resistance = this.getResistanceFeature();
+            const resistancePool = resistance?.getPool(this.actor);
+            if (resistancePool) {
+                this.element.appendChild(this._createResistanceRow(resistance, resistancePool, canModify));
+            }
+
+            for (const entry of legendaryActions) {
+                this.element.appendChild(this._createActionRow(feature, entry, {
+                    showCost: true,
+                    affordable: !pool || pool.value >= entry.cost,
+                    canModify
+                }));
+            }
+
+            if (lairActions.length > 0) {
+                const lairTitle = this.createElement('div', ['legendary-section-title']);
+                lairTitle.textContent = game.i18n.format('bg3-hud-dnd5e.Legendary.LairActions', {
+                    initiative: feature.getLairInitiative(this.actor)
+                });
+                this.element.appendChild(lairTitle);
+
+                for (const entry of lairActions) {
+                    this.element.appendChild(this._createActionRow(feature, entry, {
+                        showCost: false,
+                        affordable: true,
+                        canModify
+                    }));
+                }
+            }
+
+            return this.element;
+        }
+    }
+
+    /**
+     * HP History Panel Component
+     * Lists the actor's recent HP changes with their source when hovering the portrait.
+     * Owners and GMs can undo the most recent change.
+     */
+    class HPHistoryPanel extends BG3Component {
+        /**
+         * Changes listed in the panel
+         */
+        static MAX_ROWS = 6;
+
+        /**
+         * Create a new HP history panel
+         * @param {Object} options - Component options
+         * @param {Actor} options.actor - The actor
+         * @param {Token} options.token - The token
+         */
+        constructor(options = {}) {
+            super(options);
+            this.actor = options.actor;
+            this.token = options.token;
+        }
+
+        /**
+         * Get the adapter's HP history feature
+         * @returns {Object|null}
+         */
+        getHistoryFeature() {
+            return ui.BG3HOTBAR?.registry?.activeAdapter?.hpHistory ?? null;
+        }
+
+        /**
+         * Build a row for one HP change
+         * @param {Object} entry - History entry
+         * @returns {HTMLElement}
+         */
+        _createRow(entry) {
+            const row = this.createElement('div', ['hp-history-row']);
+            const change = (entry.after.value + entry.after.temp) - (entry.before.value + entry.before.temp);
+            row.classList.add(change < 0 ? 'damage' : 'healing');
+
+            const source = HP_SOURCES[entry.source] ?? HP_SOURCES.system;
+            const icon = this.createElement('i', source.icon.split(' '));
+            icon.classList.add('hp-history-source');
+            row.appendChild(icon);
+
+            const amount = this.createElement('span', ['hp-history-change']);
+            amount.textContent = change > 0 ? `+${change}` : `${change}`;
+            row.appendChild(amount);
+
+            const result = this.createElement('span', ['hp-history-result']);
+            result.textContent = entry.after.temp > 0
+                ? `${entry.after.value} (+${entry.after.temp})`
+                : `${entry.after.value}`;
+            row.appendChild(result);
+
+            row.dataset.tooltip = game.i18n.format('bg3-hud-dnd5e.HPHistory.EntryTooltip', {
+                source: game.i18n.localize(source.label),
+                user: game.users.get(entry.userId)?.name ?? '?',
+                time: new Date(entry.time).toLocaleTimeString()
+            });
+            return row;
+        }
+
+        /**
+         * Render the panel (re-rendered in place on change)
+         * @returns {Promise<HTMLElement>}
+         */
+        async render() {
+            if (!this.element) {
+                this.element = this.createElement('div', ['bg3-hp-history']);
+                // Mark as UI element to prevent system tooltips (dnd5e2, etc.) from showing
+                this.element.dataset.bg3Ui = 'true';
+            }
+
+            this.element.innerHTML = '';
+
+            const feature = this.getHistoryFeature();
+            const history = feature?.isEnabled() && this.actor?.isOwner ? feature.getHistory(this.actor) : [];
+            if (history.length === 0) {
+                this.element.style.display = 'none';
+                return this.element;
+            }
+
+            this.element.style.removeProperty('display');
+
+            const header = this.createElement('div', ['hp-history-header']);
+            const title = this.createElement('span', ['hp-history-title']);
+            title.textContent = game.i18n.localize('bg3-hud-dnd5e.HPHistory.Title');
+            header.appendChild(title);
+
+            if (feature.canUndo(this.actor)) {
+                const undoButton = this.createElement('button', ['hp-history-undo']);
+                undoButton.type = 'button';
+                undoButton.innerHTML = '<i class="fas fa-rotate-left"></i>';
+                undoButton.dataset.tooltip = game.i18n.localize('bg3-hud-dnd5e.HPHistory.Undo');
+                this.addEventListener(undoButton, 'click', async (event) => {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    undoButton.disabled = true;
+                    await feature.undoLast(this.actor);
+                });
+                header.appendChild(undoButton);
+            }
+            this.element.appendChild(header);
+
+            for (const entry of history.slice(0, HPHistoryPanel.MAX_ROWS)) {
+                this.element.appendChild(this._createRow(entry));
+            }
+
+            return this.element;
+        }
     }
 
     /**
@@ -544,6 +1454,12 @@ export async function createDnD5ePortraitContainer() {
      * Extends the core PortraitContainer with D&D 5e specific features:
      * - Health/temp HP display
      * - Death saves
+     * - Concentration indicator
+     * - Condition and exhaustion strip
+     * - Temporary effects panel
+     * - Class resource strip
+     * - Legendary / lair action panel
+     * - HP history with undo
      * - D&D 5e specific styling
      */
     class DnD5ePortraitContainer extends PortraitContainer {
@@ -739,6 +1655,54 @@ export async function createDnD5ePortraitContainer() {
             const deathSavesElement = await this.components.deathSaves.render();
             this.element.appendChild(deathSavesElement);
 
+            // Add concentration indicator (shows only while concentrating)
+            this.components.concentration = new ConcentrationIndicator({
+                actor: this.actor,
+                token: this.token
+            });
+            const concentrationElement = await this.components.concentration.render();
+            this.element.appendChild(concentrationElement);
+
+            // Add condition strip (active statuses, exhaustion and the quick-add palette)
+            this.components.conditions = new ConditionStrip({
+                actor: this.actor,
+                token: this.token
+            });
+            const conditionsElement = await this.components.conditions.render();
+            this.element.appendChild(conditionsElement);
+
+            // Add temporary effects panel (remaining duration, toggle and delete)
+            this.components.effects = new EffectsPanel({
+                actor: this.actor,
+                token: this.token
+            });
+            const effectsElement = await this.components.effects.render();
+            this.element.appendChild(effectsElement);
+
+            // Add class resource strip (Focus, Rage, Bardic Inspiration, ...)
+            this.components.resources = new ResourceStrip({
+                actor: this.actor,
+                token: this.token
+            });
+            const resourcesElement = await this.components.resources.render();
+            this.element.appendChild(resourcesElement);
+
+            // Add legendary / lair action panel (legendary NPCs only)
+            this.components.legendary = new LegendaryPanel({
+                actor: this.actor,
+                token: this.token
+            });
+            const legendaryElement = await this.components.legendary.render();
+            this.element.appendChild(legendaryElement);
+
+            // Add HP history panel (shown on portrait hover)
+            this.components.hpHistory = new HPHistoryPanel({
+                actor: this.actor,
+                token: this.token
+            });
+            const hpHistoryElement = await this.components.hpHistory.render();
+            this.element.appendChild(hpHistoryElement);
+
             return this.element;
         }
 
@@ -0,0 +1,260 @@
+/**
+ * D&D 5e Cell Context Menu
+ * Builds system-aware context menu entries for hotbar cells
+ * (upcasting, activity selection, equip/attune, preparation, recharge, ammunition, chat, uses)
+ */
+
+import { captureActivityUses, getActivityList } from '../../utils/activityUsage.js';
+import { getPreparationState, setPrepared } from '../../utils/spellPreparation.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+
+/**
+ * Resolve the item (and activity, if any) behind a cell
+ * @param {Object} cellData - The cell's data object
+ * @returns {Promise<{item: Item|null, activity: Object|null}>}
+ */
+async function resolveCellDocuments(cellData) {
+    if (!cellData?.uuid) return { item: null, activity: null };
+
+    const document = await fromUuid(cellData.uuid);
+    if (!document) return { item: null, activity: null };
+
+    if (cellData.type === 'Activity') {
+        return { item: document.item ?? null, activity: document };
+    }
+
+    return { item: document, activity: null };
+}
+
+/**
+ * Get activities from an item as an array, sorted by their sort order
+ * @param {Item} item - The item
+ * @returns {Array} Array of activities
+ */
+function getItemActivities(item) {
+    return getActivityList(item).sort((a, b) => (a.sort ?? 0) - (b.sort ?? 0));
+}
+
+/**
+ * Check if a spell can be cast using a higher level spell slot
+ * @param {Item} item - The spell item
+ * @returns {boolean}
+ */
+function canUpcast(item) {
+    if (item?.type !== 'spell') return false;
+    const level = item.system?.level ?? 0;
+    if (level === 0) return false;
+
+    // D&D 5e v5.1+: use .method instead of deprecated .preparation.mode
+    const method = item.system?.method ?? item.system?.preparation?.mode ?? 'spell';
+    return method === 'spell' || method === 'pact';
+}
+
+/**
+ * Check if an item has limited uses with any spent
+ * @param {Item} item - The item
+ * @returns {boolean}
+ */
+function hasSpentUses(item) {
+    const maxUses = parseInt(item?.system?.uses?.max) || 0;
+    const spentUses = parseInt(item?.system?.uses?.spent) || 0;
+    return maxUses > 0 && spentUses > 0;
+}
+
+/**
+ * Refresh a cell's data from its underlying document
+ * @param {GridCell} cell - The cell to refresh
+ * @param {Object} adapter - The D&D 5e adapter
+ * @returns {Promise<void>}
+ */
+async function refreshCell(cell, adapter) {
+    if (!cell?.data?.uuid || typeof cell.setData !== 'function') return;
+
+    try {
+        const document = await fromUuid(cell.data.uuid);
+        if (!document) return;
+
+        const newData = cell.data.type === 'Activity'
+            ? await adapter.transformActivityToCellData(document)
+            : await adapter.transformItemToCellData(document);
+
+        if (newData) {
+            await cell.setData({ ...cell.data, ...newData });
+        }
+    } catch (error) {
+        console.warn('[bg3-hud-dnd5e] Failed to refresh cell after menu action:', error);
+    }
+}
+
+/**
+ * Wrap a menu action so the cell is refreshed once the action completes
+ * @param {GridCell} cell - The cell the menu was opened on
+ * @param {Object} adapter - The D&D 5e adapter
+ * @param {Function} action - Async action to run
+ * @returns {Function} onClick handler
+ */
+function withCellRefresh(cell, adapter, action) {
+    return async () => {
+        try {
+            await action();
+        } catch (error) {
+            console.error('[bg3-hud-dnd5e] Cell menu action failed:', error);
+        }
+        await refreshCell(cell, adapter);
+    };
+}
+
+/**
+ * Build context menu items for a hotbar cell
+ * Items follow the core menu format: { key, label, icon, onClick, submenu? }
+ * @param {GridCell} cell - The cell the menu is opened on
+ * @param {Object} adapter - The D&D 5e adapter
+ * @returns {Promise<Array>} Menu items array
+ */
+export async function buildCellMenuItems(cell, adapter) {
+    const { item, activity } = await resolveCellDocuments(cell?.data);
+    if (!item) return [];
+
+    // Only offer document-changing entries to users that can modify the item
+    const canModify = item.isOwner ?? item.canUserModify?.(game.user, 'update') ?? false;
+    const items = [];
+
+    // Cast at higher level (opens the dnd5e usage dialog to pick a slot)
+    if (canModify && !activity && canUpcast(item)) {
+        items.push({
+            key: 'upcast',
+            label: game.i18n.localize(`${MODULE_ID}.CellMenu.CastAtHigherLevel`),
+            icon: 'fas fa-arrow-up-wide-short',
+            onClick: withCellRefresh(cell, adapter, async () => {
+                // Same concentration warning and use recording as a cell click
+                if (!await adapter.concentration.confirmReplace(item.actor, item)) return;
+                const uses = await captureActivityUses(
+                    () => item.use({}, { configure: true }),
+                    (used) => used.item?.uuid === item.uuid
+                );
+                await adapter.recordActivityUses(uses);
+            })
+        });
+    }
+
+    // Use a specific activity (only for multi-activity items shown as a single cell)
+    const activities = activity ? [] : getItemActivities(item);
+    if (canModify && activities.length > 1) {
+        items.push({
+            key: 'useActivity',
+            label: game.i18n.localize(`${MODULE_ID}.CellMenu.UseSpecificActivity`),
+            icon: 'fas fa-list',
+            submenu: activities.map(act => ({
+                key: `activity-${act.id}`,
+                label: act.name,
+                icon: 'fas fa-bolt',
+                onClick: withCellRefresh(cell, adapter, async () => {
+                    if (!await adapter.concentration.confirmReplace(item.actor, item, act)) return;
+                    const uses = await captureActivityUses(() => act.use(), (used) => used.uuid === act.uuid);
+                    await adapter.recordActivityUses(uses);
+                })
+            }))
+        });
+    }
+
+    // Toggle equipped
+    if (canModify && typeof item.system?.equipped === 'boolean') {
+        const equipped = item.system.equipped;
+        items.push({
+            key: 'toggleEquipped',
+            label: game.i18n.localize(`${MODULE_ID}.CellMenu.${equipped ? 'Unequip' : 'Equip'}`),
+            icon: equipped ? 'fas fa-hand' : 'fas fa-hand-holding',
+            onClick: withCellRefresh(cell, adapter, async () => {
+                await item.update({ 'system.equipped': !equipped });
+            })
+        });
+    }
+
+    // Toggle attuned (only for items that can be attuned)
+    if (canModify && item.system?.attunement && typeof item.system?.attuned === 'boolean') {
+        const attuned = item.system.attuned;
+        items.push({
+            key: 'toggleAttuned',
+            label: game.i18n.localize(`${MODULE_ID}.CellMenu.${attuned ? 'Unattune' : 'Attune'}`),
+            icon: attuned ? 'fas fa-link-slash' : 'fas fa-link',
+            onClick: withCellRefresh(cell, adapter, async () => {
+                await item.update({ 'system.attuned': !attuned });
+            })
+        });
+    }
+
+    // Prepare / unprepare spell
+    const preparation = getPreparationState(item);
+    if (canModify && preparation.togglable) {
+        items.push({
+            key: 'togglePrepared',
+            label: game.i18n.localize(`${MODULE_ID}.CellMenu.${preparation.prepared ? 'UnprepareSpell' : 'PrepareSpell'}`),
+            icon: preparation.prepared ? 'fas fa-book' : 'fas fa-book-open',
+            onClick: withCellRefresh(cell, adapter, async () => {
+                await setPrepared(item, !preparation.prepared);
+            })
+        });
+    }
+
+    // Recharge roll for recharge features
+    if (canModify && adapter.recharge?.getRecharge(item)) {
+        items.push({
+            key: 'rollRecharge',
+            label: game.i18n.localize(`${MODULE_ID}.CellMenu.RollRecharge`),
+            icon: 'fas fa-dice-d6',
+            onClick: withCellRefresh(cell, adapter, async () => {
+                await adapter.recharge.rollRecharge(item);
+            })
+        });
+    }
+
+    // Switch the ammunition a ranged weapon fires
+    const ammunitionOptions = adapter.ammunition?.getOptions(item) ?? [];
+    if (canModify && !activity && ammunitionOptions.length > 1) {
+        const linked = adapter.ammunition.getLinkedAmmunition(item);
+        items.push({
+            key: 'switchAmmunition',
+            label: game.i18n.localize(`${MODULE_ID}.CellMenu.SwitchAmmunition`),
+            icon: 'fas fa-bullseye',
+            submenu: ammunitionOptions.map(ammo => ({
+                key: `ammunition-${ammo.id}`,
+                label: `${ammo.name} (${ammo.system?.quantity ?? 0})`,
+                icon: ammo.id === linked?.id ? 'fas fa-check' : 'fas fa-bullseye',
+                onClick: withCellRefresh(cell, adapter, async () => {
+                    await adapter.ammunition.setAmmunition(item, ammo);
+                })
+            }))
+        });
+    }
+
+    // Post item card to chat
+    if (typeof item.displayCard === 'function') {
+        items.push({
+            key: 'postToChat',
+            label: game.i18n.localize(`${MODULE_ID}.CellMenu.PostToChat`),
+            icon: 'fas fa-comment',
+            onClick: async () => {
+                try {
+                    await item.displayCard();
+                } catch (error) {
+                    console.error('[bg3-hud-dnd5e] Failed to post item to chat:', error);
+                }
+            }
+        });
+    }
+
+    // Reset uses
+    if (canModify && hasSpentUses(item)) {
+        items.push({
+            key: 'resetUses',
+            label: game.i18n.localize(`${MODULE_ID}.CellMenu.ResetUses`),
+            icon: 'fas fa-rotate-left',
+            onClick: withCellRefresh(cell, adapter, async () => {
+                await item.update({ 'system.uses.spent': 0 });
+            })
+        });
+    }
+
+    return items;
+}
@@ -1,4 +1,5 @@
 import { MenuBuilder } from '/modules/bg3-hud-core/scripts/components/ui/MenuBuilder.js';
+import { buildPresetSubmenu } from '../ui/AutoPopulatePresetDialogs.js';
 
 const MODULE_ID = 'bg3-hud-dnd5e';
 
@@ -68,6 +69,48 @@ export class DnD5eMenuBuilder extends MenuBuilder {
             }
         });
 
+        // Live inventory sync toggle (per actor)
+        const inventorySync = ui.BG3HOTBAR?.registry?.activeAdapter?.inventorySync;
+        if (inventorySync && actor.isOwner) {
+            const syncEnabled = inventorySync.isEnabled(actor);
+            items.push({
+                key: 'inventorySync',
+                label: game.i18n.localize(`${MODULE_ID}.Menu.SyncInventory`),
+                icon: syncEnabled ? 'fas fa-check' : 'fas fa-arrows-rotate',
+                title: game.i18n.localize(`${MODULE_ID}.Menu.SyncInventoryHint`),
+                onClick: async () => {
+                    await inventorySync.setEnabled(actor, !syncEnabled);
+                }
+            });
+        }
+
+        // Most used items on the first row
+        const usageTracker = ui.BG3HOTBAR?.registry?.activeAdapter?.usageTracker;
+        if (usageTracker && actor.isOwner) {
+            items.push({
+                key: 'suggestLayout',
+                label: game.i18n.localize(`${MODULE_ID}.Menu.SuggestLayout`),
+                icon: 'fas fa-wand-magic-sparkles',
+                title: game.i18n.localize(`${MODULE_ID}.Menu.SuggestLayoutHint`),
+                onClick: async () => {
+                    await usageTracker.suggestLayout(actor);
+                }
+            });
+        }
+
+        // Auto-populate preset (per actor)
+        if (actor.isOwner) {
+            const presetItems = buildPresetSubmenu(actor);
+            if (presetItems.length > 0) {
+                items.push({
+                    key: 'autoPopulatePreset',
+                    label: game.i18n.localize(`${MODULE_ID}.Menu.AutoPopulatePreset`),
+                    icon: 'fas fa-grid-2',
+                    submenu: presetItems
+                });
+            }
+        }
+
         return items;
     }
 
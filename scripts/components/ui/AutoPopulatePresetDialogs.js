@@ -0,0 +1,233 @@
+/**
+ * Auto-Populate Preset Dialogs
+ * GM dialogs to create, edit, delete, import and export auto-populate presets.
+ * Grid contents are edited with core's auto-populate configuration dialog.
+ */
+import { showButtonChoiceDialog } from '../../../../bg3-hud-core/scripts/utils/dialogs.js';
+import { WORLD_CONFIGURATION } from '../../features/DnD5eAutoPopulatePresets.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+
+/**
+ * Get the adapter's preset feature
+ * @returns {DnD5eAutoPopulatePresets|null}
+ */
+function getPresets() {
+    return ui.BG3HOTBAR?.registry?.activeAdapter?.autoPopulatePresets ?? null;
+}
+
+/**
+ * Choose a preset to edit, or start a new one
+ * @returns {Promise<void>}
+ */
+export async function showPresetManager() {
+    const presets = getPresets();
+    if (!presets) return;
+
+    const choice = await showButtonChoiceDialog({
+        title: game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.ManageTitle`),
+        content: `<p style="text-align:center;margin-bottom:1rem">${game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.ManageDescription`)}</p>`,
+        buttons: [
+            ...Object.entries(presets.getPresets()).map(([presetId, preset]) => ({
+                action: presetId,
+                label: presets.getLabel(preset),
+                icon: 'fas fa-grid-2'
+            })),
+            {
+                action: '__new',
+                label: game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.New`),
+                icon: 'fas fa-plus'
+            }
+        ]
+    });
+    if (!choice) return;
+
+    await showPresetEditor(choice === '__new' ? null : choice);
+}
+
+/**
+ * Edit a preset's name and defaults, then its grids
+ * @param {string|null} presetId - Preset to edit, or null for a new preset
+ * @returns {Promise<void>}
+ */
+export async function showPresetEditor(presetId) {
+    const presets = getPresets();
+    if (!presets) return;
+
+    const preset = presetId ? presets.getPreset(presetId) : null;
+    const defaults = preset?.defaults ?? {};
+    const escape = foundry.utils.escapeHTML;
+    const field = (name, label, input) => `
+        <div class="form-group">
+            <label for="bg3-preset-${name}">${game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.Fields.${label}`)}</label>
+            ${input}
+        </div>`;
+
+    const content = `
+        ${field('name', 'Name', `<input type="text" id="bg3-preset-name" name="name" value="${escape(presets.getLabel(preset))}" required>`)}
+        ${field('classes', 'Classes', `<input type="text" id="bg3-preset-classes" name="classes" value="${escape((defaults.classes ?? []).join(', '))}" placeholder="fighter, paladin">`)}
+        ${field('crMin', 'CRMin', `<input type="number" id="bg3-preset-crMin" name="crMin" min="0" step="any" value="${defaults.crMin ?? ''}">`)}
+        ${field('crMax', 'CRMax', `<input type="number" id="bg3-preset-crMax" name="crMax" min="0" step="any" value="${defaults.crMax ?? ''}">`)}
+        ${field('summon', 'Summon', `<input type="checkbox" id="bg3-preset-summon" name="summon" ${defaults.summon ? 'checked' : ''}>`)}
+        <p class="hint">${game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.DefaultsHint`)}</p>`;
+
+    const result = await foundry.applications.api.DialogV2.wait({
+        window: { title: game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.EditTitle`) },
+        content,
+        buttons: [
+            {
+                action: 'save',
+                label: game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.ConfigureGrids`),
+                icon: 'fas fa-grid-2',
+                default: true,
+                callback: (event, button) => ({ action: 'save', data: new foundry.applications.ux.FormDataExtended(button.form).object })
+            },
+            ...(preset ? [{
+                action: 'delete',
+                label: game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.Delete`),
+                icon: 'fas fa-trash',
+                callback: () => ({ action: 'delete' })
+            }] : [])
+        ],
+        rejectClose: false
+    });
+    if (!result) return;
+
+    if (result.action === 'delete') {
+        await presets.deletePreset(presetId);
+        return;
+    }
+
+    const data = result.data;
+    const updated = {
+        ...(preset ?? {}),
+        name: data.name,
+        defaults: {
+            classes: String(data.classes ?? '').split(','),
+            crMin: data.crMin,
+            crMax: data.crMax,
+            summon: data.summon
+        }
+    };
+
+    // Grid contents use the same dialog as the world configuration
+    const adapter = ui.BG3HOTBAR?.registry?.activeAdapter;
+    const choices = await adapter?.autoPopulate?.getItemTypeChoices();
+    if (choices?.length) {
+        const { showAutoPopulateConfigDialog } = await import('/modules/bg3-hud-core/scripts/utils/dialogs.js');
+        const grids = await showAutoPopulateConfigDialog({
+            title: game.i18n.format(`${MODULE_ID}.AutoPopulatePresets.GridsTitle`, { name: data.name }),
+            description: game.i18n.localize(`${MODULE_ID}.Settings.ConfigureAutoPopulateDescription`),
+            choices,
+            configuration: {
+                grid0: preset?.grid0 ?? [],
+                grid1: preset?.grid1 ?? [],
+                grid2: preset?.grid2 ?? [],
+                options: preset?.options ?? {}
+            },
+            toggleOptions: [
+                {
+                    key: 'includeActivities',
+                    label: game.i18n.localize(`${MODULE_ID}.AutoPopulateOptions.IncludeActivities`),
+                    hint: game.i18n.localize(`${MODULE_ID}.AutoPopulateOptions.IncludeActivitiesHint`)
+                }
+            ]
+        });
+        if (grids) Object.assign(updated, grids);
+    }
+
+    await presets.savePreset(presetId ?? foundry.utils.randomID(), updated);
+    ui.notifications.info(game.i18n.format(`${MODULE_ID}.AutoPopulatePresets.Saved`, { name: data.name }));
+}
+
+/**
+ * Download all presets as JSON
+ */
+export function exportPresets() {
+    getPresets()?.exportPresets();
+}
+
+/**
+ * Ask for a preset JSON file and import it
+ * @returns {Promise<void>}
+ */
+export async function showPresetImport() {
+    const presets = getPresets();
+    if (!presets) return;
+
+    const file = await foundry.applications.api.DialogV2.prompt({
+        window: { title: game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.ImportTitle`) },
+        content: `
+            <div class="form-group">
+                <input type="file" name="file" accept=".json,application/json">
+            </div>
+            <p class="hint">${game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.ImportHint`)}</p>`,
+        ok: {
+            label: game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.Import`),
+            icon: 'fas fa-file-import',
+            callback: (event, button) => button.form.elements.file.files[0] ?? null
+        },
+        rejectClose: false
+    });
+    if (!file) return;
+
+    try {
+        const count = await presets.importPresets(await foundry.utils.readTextFromFile(file));
+        ui.notifications.info(game.i18n.format(`${MODULE_ID}.AutoPopulatePresets.Imported`, { count }));
+    } catch (error) {
+        console.error('[bg3-hud-dnd5e] AutoPopulatePresets | Error importing presets:', error);
+        ui.notifications.error(game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.InvalidFile`));
+    }
+}
+
+/**
+ * Build the portrait menu submenu for choosing an actor's preset
+ * Choosing an entry stores it on the actor and offers to re-populate the grids now.
+ * @param {Actor} actor - The actor
+ * @returns {Array<Object>} Submenu items
+ */
+export function buildPresetSubmenu(actor) {
+    const presets = getPresets();
+    if (!presets) return [];
+
+    const chosen = presets.getActorPresetId(actor);
+    const detected = presets.isDetectionEnabled() ? presets.detectPresetId(actor) : null;
+    const detectedLabel = detected
+        ? presets.getLabel(presets.getPreset(detected))
+        : game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.WorldConfiguration`);
+
+    const choose = async (presetId) => {
+        await presets.setActorPresetId(actor, presetId);
+
+        const choice = await showButtonChoiceDialog({
+            title: game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.ApplyTitle`),
+            content: `<p style="text-align:center;margin-bottom:1rem">${game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.ApplyDescription`)}</p>`,
+            buttons: [
+                { action: 'apply', label: game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.ApplyNow`), icon: 'fas fa-arrows-rotate' },
+                { action: 'later', label: game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.ApplyLater`), icon: 'fas fa-clock' }
+            ]
+        });
+        if (choice === 'apply') await presets.apply(actor);
+    };
+
+    return [
+        {
+            key: 'preset-auto',
+            label: game.i18n.format(`${MODULE_ID}.AutoPopulatePresets.Automatic`, { name: detectedLabel }),
+            icon: !chosen ? 'fas fa-check' : 'fas fa-wand-magic-sparkles',
+            onClick: () => choose(null)
+        },
+        {
+            key: 'preset-world',
+            label: game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.WorldConfiguration`),
+            icon: chosen === WORLD_CONFIGURATION ? 'fas fa-check' : 'fas fa-globe',
+            onClick: () => choose(WORLD_CONFIGURATION)
+        },
+        ...Object.entries(presets.getPresets()).map(([presetId, preset]) => ({
+            key: `preset-${presetId}`,
+            label: presets.getLabel(preset),
+            icon: chosen === presetId ? 'fas fa-check' : 'fas fa-grid-2',
+            onClick: () => choose(presetId)
+        }))
+    ];
+}
@@ -1,8 +1,10 @@
 /**
  * Rest Dialog
- * Uses Core's showButtonChoiceDialog for consistent styling
+ * Uses Core's showButtonChoiceDialog for consistent styling,
+ * then the HUD rest panel to spend hit dice and preview recovery
  */
 import { showButtonChoiceDialog } from '../../../../bg3-hud-core/scripts/utils/dialogs.js';
+import { showShortRestPanel, showLongRestPanel } from './RestPanel.js';
 
 const MODULE_ID = 'bg3-hud-dnd5e';
 
@@ -27,13 +29,29 @@ export async function showRestDialog(actor) {
                 action: 'long',
                 label: game.i18n.localize(`${MODULE_ID}.RestDialog.LongRest`),
                 icon: 'fas fa-tent'
-            }
+            },
+            // GM only: rest several player characters at once
+            ...(game.user.isGM ? [{
+                action: 'party',
+                label: game.i18n.localize(`${MODULE_ID}.RestDialog.PartyRest`),
+                icon: 'fas fa-users'
+            }] : [])
         ]
     });
 
+    if (choice === 'party') {
+        await ui.BG3HOTBAR?.registry?.activeAdapter?.partyRest?.start();
+        return;
+    }
+
+    // Hit dice are spent in the panel, so skip the system rest dialog afterwards
     if (choice === 'short' && typeof actor.shortRest === 'function') {
-        await actor.shortRest();
+        if (await showShortRestPanel(actor)) {
+            await actor.shortRest({ dialog: false });
+        }
     } else if (choice === 'long' && typeof actor.longRest === 'function') {
-        await actor.longRest();
+        if (await showLongRestPanel(actor)) {
+            await actor.longRest({ dialog: false });
+        }
     }
 }
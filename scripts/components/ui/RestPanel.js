@@ -0,0 +1,301 @@
+/**
+ * Rest Panel
+ * HUD-native short/long rest panel: spend hit dice one at a time and preview
+ * what the rest will restore before confirming.
+ */
+
+import {
+    getHitDiceByClass,
+    getRecoverableItems,
+    getRecoverableSlots,
+    getRecoverableHitDice,
+    getRecoverableHP
+} from '../../utils/restPreview.js';
+import { createElement, openPopover } from '../../utils/hudPopover.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+
+/**
+ * Roll a single hit die for the actor
+ * dnd5e v4+ takes a config object; earlier versions take the denomination directly.
+ * @param {Actor} actor - The actor
+ * @param {string} denomination - Hit die denomination (e.g. 'd8')
+ * @returns {Promise<Roll|null>}
+ */
+async function rollHitDie(actor, denomination) {
+    const majorVersion = parseInt(game.system.version) || 0;
+    if (majorVersion >= 4) {
+        const rolls = await actor.rollHitDie({ denomination }, { configure: false });
+        return Array.isArray(rolls) ? rolls[0] ?? null : rolls ?? null;
+    }
+    return await actor.rollHitDie(denomination, { dialog: false });
+}
+
+/**
+ * Give back the hit dice and HP spent in a short rest panel that was cancelled
+ * Only what the panel's own rolls changed is undone, so damage taken meanwhile stays.
+ * @param {Actor} actor - The actor
+ * @param {Map<string, number>} diceByClass - Hit dice rolled per class item id
+ * @param {number} healed - HP gained from those rolls
+ * @returns {Promise<void>}
+ */
+async function undoHitDice(actor, diceByClass, healed) {
+    const updates = [];
+    for (const [classId, count] of diceByClass) {
+        const cls = actor.items.get(classId);
+        if (!cls) continue;
+        // dnd5e v4+: system.hd.spent; legacy: system.hitDiceUsed
+        const path = cls.system?.hd ? 'system.hd.spent' : 'system.hitDiceUsed';
+        const spent = foundry.utils.getProperty(cls, path) ?? 0;
+        updates.push({ _id: classId, [path]: Math.max(0, spent - count) });
+    }
+    if (updates.length) await actor.updateEmbeddedDocuments('Item', updates);
+
+    if (healed > 0) {
+        const value = actor.system?.attributes?.hp?.value ?? 0;
+        await actor.update(
+            { 'system.attributes.hp.value': Math.max(0, value - healed) },
+            { dnd5e: { concentrationCheck: false } }
+        );
+    }
+}
+
+/**
+ * Build a titled section with one row per entry
+ * @param {string} title - Section title
+ * @param {Array<{label: string, detail: string, img?: string}>} rows - Rows to list
+ * @returns {HTMLElement|null} Section element, or null when there is nothing to list
+ */
+function buildPreviewSection(title, rows) {
+    if (rows.length === 0) return null;
+
+    const section = createElement('div', ['bg3-rest-section']);
+    section.appendChild(createElement('div', ['bg3-rest-section-title'], title));
+
+    for (const row of rows) {
+        const entry = createElement('div', ['bg3-rest-row']);
+        if (row.img) {
+            const img = createElement('img', ['bg3-rest-row-img']);
+            img.src = row.img;
+            entry.appendChild(img);
+        }
+        entry.appendChild(createElement('span', ['bg3-rest-row-label'], row.label));
+        entry.appendChild(createElement('span', ['bg3-rest-row-detail'], row.detail));
+        section.appendChild(entry);
+    }
+
+    return section;
+}
+
+/**
+ * Open the panel shell and resolve with true (confirm) or false (cancel)
+ * @param {Object} options
+ * @param {string} options.title - Panel title
+ * @param {string} options.confirmLabel - Confirm button label
+ * @param {string} options.confirmIcon - Confirm button icon classes
+ * @param {Function} options.buildBody - Called with (body, panel) to fill the panel body
+ * @returns {Promise<boolean>}
+ */
+function openPanel({ title, confirmLabel, confirmIcon, buildBody }) {
+    const panel = createElement('div', ['bg3-rest-panel']);
+    panel.appendChild(createElement('div', ['bg3-rest-panel-title'], title));
+
+    const body = createElement('div', ['bg3-rest-panel-body']);
+    panel.appendChild(body);
+
+    const footer = createElement('div', ['bg3-rest-panel-footer']);
+    const confirmButton = createElement('button', ['bg3-rest-confirm']);
+    confirmButton.type = 'button';
+    confirmButton.innerHTML = `<i class="${confirmIcon}"></i> `;
+    confirmButton.append(confirmLabel);
+    const cancelButton = createElement('button', ['bg3-rest-cancel']);
+    cancelButton.type = 'button';
+    cancelButton.innerHTML = '<i class="fas fa-times"></i> ';
+    cancelButton.append(game.i18n.localize(`${MODULE_ID}.RestPanel.Cancel`));
+    footer.append(confirmButton, cancelButton);
+    panel.appendChild(footer);
+
+    confirmButton.addEventListener('click', () => popover.close(true));
+    cancelButton.addEventListener('click', () => popover.close(false));
+
+    buildBody(body, panel);
+
+    // Only one panel at a time; Escape cancels
+    const popover = openPopover(panel, { group: 'restPanel', dismissResult: false });
+    return popover.result;
+}
+
+/**
+ * Show the short rest panel
+ * Players roll hit dice individually (CON modifier applied by dnd5e) and see the running HP total.
+ * Cancelling gives back the hit dice rolled in the panel and the HP they restored.
+ * @param {Actor} actor - The actor resting
+ * @returns {Promise<boolean>} True if the player confirmed the rest
+ */
+export async function showShortRestPanel(actor) {
+    const startHP = actor.system?.attributes?.hp?.value ?? 0;
+    const conMod = actor.system?.abilities?.con?.mod ?? 0;
+    const conLabel = conMod >= 0 ? `+${conMod}` : `${conMod}`;
+
+    // Hit dice rolled per class and the HP they restored, undone on cancel
+    const diceByClass = new Map();
+    let healed = 0;
+
+    const confirmed = await openPanel({
+        title: game.i18n.localize(`${MODULE_ID}.RestDialog.ShortRest`),
+        confirmLabel: game.i18n.localize(`${MODULE_ID}.RestPanel.FinishShortRest`),
+        confirmIcon: 'fas fa-campfire',
+        buildBody: (body) => {
+            const section = createElement('div', ['bg3-rest-section']);
+            section.appendChild(createElement('div', ['bg3-rest-section-title'],
+                game.i18n.localize(`${MODULE_ID}.RestPanel.HitDice`)));
+
+            const diceList = createElement('div', ['bg3-rest-hit-dice']);
+            section.appendChild(diceList);
+
+            const total = createElement('div', ['bg3-rest-total']);
+            section.appendChild(total);
+            body.appendChild(section);
+
+            let rolling = false;
+
+            const renderDice = () => {
+                diceList.innerHTML = '';
+                const hp = actor.system?.attributes?.hp ?? {};
+                const atMax = (hp.value ?? 0) >= (hp.effectiveMax ?? hp.max ?? 0);
+                const classes = getHitDiceByClass(actor);
+
+                if (classes.length === 0) {
+                    diceList.appendChild(createElement('div', ['bg3-rest-empty'],
+                        game.i18n.localize(`${MODULE_ID}.RestPanel.NoHitDice`)));
+                }
+
+                for (const entry of classes) {
+                    const row = createElement('div', ['bg3-rest-row', 'bg3-rest-die']);
+                    row.appendChild(createElement('span', ['bg3-rest-row-label'], entry.name));
+                    row.appendChild(createElement('span', ['bg3-rest-die-denomination'], `${entry.denomination}${conLabel}`));
+                    row.appendChild(createElement('span', ['bg3-rest-row-detail'], `${entry.value}/${entry.max}`));
+
+                    const rollButton = createElement('button', ['bg3-rest-roll']);
+                    rollButton.type = 'button';
+                    rollButton.innerHTML = '<i class="fas fa-dice-d20"></i>';
+                    rollButton.dataset.tooltip = game.i18n.format(`${MODULE_ID}.RestPanel.RollHitDie`, { die: entry.denomination });
+                    rollButton.dataset.tooltipDirection = 'UP';
+                    rollButton.disabled = entry.value <= 0 || atMax;
+                    rollButton.addEventListener('click', async (event) => {
+                        event.preventDefault();
+                        if (rolling) return;
+                        rolling = true;
+                        try {
+                            const before = actor.system?.attributes?.hp?.value ?? 0;
+                            const roll = await rollHitDie(actor, entry.denomination);
+                            if (roll) {
+                                diceByClass.set(entry.classId, (diceByClass.get(entry.classId) ?? 0) + 1);
+                                healed += Math.max(0, (actor.system?.attributes?.hp?.value ?? 0) - before);
+                            }
+                        } catch (error) {
+                            console.error('[bg3-hud-dnd5e] RestPanel | Error rolling hit die:', error);
+                        }
+                        rolling = false;
+                        renderDice();
+                    });
+                    row.appendChild(rollButton);
+
+                    diceList.appendChild(row);
+                }
+
+                const gained = Math.max(0, (hp.value ?? 0) - startHP);
+                total.textContent = game.i18n.format(`${MODULE_ID}.RestPanel.HPGained`, {
+                    gained,
+                    value: hp.value ?? 0,
+                    max: hp.effectiveMax ?? hp.max ?? 0
+                });
+            };
+            renderDice();
+
+            const slotRows = getRecoverableSlots(actor, 'short').map(slot => ({
+                label: slot.label,
+                detail: `${slot.value}/${slot.max} → ${slot.max}/${slot.max}`
+            }));
+            const itemRows = getRecoverableItems(actor, 'short').map(item => ({
+                label: item.name,
+                img: item.img,
+                detail: `${item.value}/${item.max} → ${item.max}/${item.max}`
+            }));
+
+            const recoverSection = buildPreviewSection(
+                game.i18n.localize(`${MODULE_ID}.RestPanel.WillRecover`),
+                [...slotRows, ...itemRows]
+            );
+            body.appendChild(recoverSection ?? createElement('div', ['bg3-rest-empty'],
+                game.i18n.localize(`${MODULE_ID}.RestPanel.NothingToRecover`)));
+        }
+    });
+
+    if (!confirmed && diceByClass.size > 0) {
+        try {
+            await undoHitDice(actor, diceByClass, healed);
+        } catch (error) {
+            console.error('[bg3-hud-dnd5e] RestPanel | Error giving back hit dice:', error);
+        }
+    }
+    return confirmed;
+}
+
+/**
+ * Show the long rest panel
+ * Previews HP, spell slots, item uses and hit dice that will be restored.
+ * @param {Actor} actor - The actor resting
+ * @returns {Promise<boolean>} True if the player confirmed the rest
+ */
+export function showLongRestPanel(actor) {
+    return openPanel({
+        title: game.i18n.localize(`${MODULE_ID}.RestDialog.LongRest`),
+        confirmLabel: game.i18n.localize(`${MODULE_ID}.RestPanel.FinishLongRest`),
+        confirmIcon: 'fas fa-tent',
+        buildBody: (body) => {
+            const sections = [];
+
+            const hpRestored = getRecoverableHP(actor);
+            if (hpRestored > 0) {
+                sections.push(buildPreviewSection(game.i18n.localize(`${MODULE_ID}.RestPanel.HitPoints`), [{
+                    label: game.i18n.localize(`${MODULE_ID}.RestPanel.HitPoints`),
+                    detail: `+${hpRestored}`
+                }]));
+            }
+
+            sections.push(buildPreviewSection(
+                game.i18n.localize(`${MODULE_ID}.RestPanel.SpellSlots`),
+                getRecoverableSlots(actor, 'long').map(slot => ({
+                    label: slot.label,
+                    detail: `${slot.value}/${slot.max} → ${slot.max}/${slot.max}`
+                }))
+            ));
+
+            sections.push(buildPreviewSection(
+                game.i18n.localize(`${MODULE_ID}.RestPanel.HitDice`),
+                getRecoverableHitDice(actor).map(entry => ({
+                    label: entry.name,
+                    detail: `+${entry.restored}${entry.denomination}`
+                }))
+            ));
+
+            sections.push(buildPreviewSection(
+                game.i18n.localize(`${MODULE_ID}.RestPanel.ItemUses`),
+                getRecoverableItems(actor, 'long').map(item => ({
+                    label: item.name,
+                    img: item.img,
+                    detail: `${item.value}/${item.max} → ${item.max}/${item.max}`
+                }))
+            ));
+
+            const filled = sections.filter(Boolean);
+            if (filled.length === 0) {
+                body.appendChild(createElement('div', ['bg3-rest-empty'],
+                    game.i18n.localize(`${MODULE_ID}.RestPanel.NothingToRecover`)));
+                return;
+            }
+            body.append(...filled);
+        }
+    });
+}
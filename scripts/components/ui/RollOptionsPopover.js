@@ -0,0 +1,141 @@
+/**
+ * Roll Options Popover
+ * Pops out of an info panel skill or ability block to set advantage, a situational bonus,
+ * an alternate ability (skills) and the roll visibility before rolling.
+ */
+
+import { openPopover, positionAnchored } from '../../utils/hudPopover.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+
+/**
+ * Get the roll visibility choices
+ * @returns {Array<{value: string, label: string}>}
+ */
+function getRollModes() {
+    return Object.entries(CONFIG.Dice?.rollModes ?? {}).map(([value, mode]) => ({
+        value,
+        label: game.i18n.localize(typeof mode === 'string' ? mode : mode?.label ?? value)
+    }));
+}
+
+/**
+ * Build the popover form
+ * @param {Object} options - See showRollOptions
+ * @returns {string} HTML
+ */
+function buildContent({ title, abilities, ability, actions }) {
+    const modes = [
+        { value: 'normal', label: `${MODULE_ID}.RollOptions.Normal` },
+        { value: 'advantage', label: `${MODULE_ID}.RollOptions.Advantage` },
+        { value: 'disadvantage', label: `${MODULE_ID}.RollOptions.Disadvantage` }
+    ].map((mode, index) => `
+        <label class="bg3-roll-options-mode">
+            <input type="radio" name="mode" value="${mode.value}" ${index === 0 ? 'checked' : ''}>
+            <span>${game.i18n.localize(mode.label)}</span>
+        </label>`).join('');
+
+    const currentRollMode = game.settings.get('core', 'rollMode');
+    const rollModes = getRollModes().map(mode => `
+        <option value="${mode.value}" ${mode.value === currentRollMode ? 'selected' : ''}>${foundry.utils.escapeHTML(mode.label)}</option>`).join('');
+
+    const abilityField = abilities ? `
+        <label class="bg3-roll-options-field">
+            <span>${game.i18n.localize(`${MODULE_ID}.RollOptions.Ability`)}</span>
+            <select name="ability">${Object.entries(abilities).map(([id, label]) => `
+                <option value="${id}" ${id === ability ? 'selected' : ''}>${foundry.utils.escapeHTML(label)}</option>`).join('')}
+            </select>
+        </label>` : '';
+
+    const buttons = actions.map(action => `
+        <button type="button" class="bg3-roll-options-roll" data-action="${action.action}">
+            <i class="fas fa-dice-d20"></i> ${foundry.utils.escapeHTML(action.label)}
+        </button>`).join('');
+
+    return `
+        <div class="bg3-roll-options-title">${foundry.utils.escapeHTML(title)}</div>
+        <div class="bg3-roll-options-modes">${modes}</div>
+        <label class="bg3-roll-options-field">
+            <span>${game.i18n.localize(`${MODULE_ID}.RollOptions.Bonus`)}</span>
+            <input type="text" name="bonus" placeholder="${game.i18n.localize(`${MODULE_ID}.RollOptions.BonusPlaceholder`)}">
+        </label>
+        ${abilityField}
+        <label class="bg3-roll-options-field">
+            <span>${game.i18n.localize(`${MODULE_ID}.RollOptions.Visibility`)}</span>
+            <select name="rollMode">${rollModes}</select>
+        </label>
+        <div class="bg3-roll-options-buttons">${buttons}</div>`;
+}
+
+/**
+ * Show the roll options popover next to an anchor element
+ * Resolves with the chosen options, or null if the popover was dismissed.
+ * @param {Object} options
+ * @param {HTMLElement} [options.anchor] - Element to position the popover above
+ * @param {string} options.title - Title (skill or ability name)
+ * @param {Object<string, string>} [options.abilities] - Ability choices (id -> label), for skills
+ * @param {string} [options.ability] - Preselected ability
+ * @param {Array<{action: string, label: string}>} options.actions - Roll buttons
+ * @returns {Promise<{action: string, mode: string, bonus: string, ability: string|null, rollMode: string}|null>}
+ */
+export function showRollOptions({ anchor = null, title = '', abilities = null, ability = null, actions = [] } = {}) {
+    const form = document.createElement('form');
+    form.classList.add('bg3-roll-options');
+    form.innerHTML = buildContent({ title, abilities, ability, actions });
+
+    const submit = (action) => {
+        const data = new FormData(form);
+        const bonus = String(data.get('bonus') ?? '').trim();
+        if (bonus && !Roll.validate(bonus)) {
+            ui.notifications.warn(game.i18n.format(`${MODULE_ID}.RollOptions.InvalidBonus`, { bonus }));
+            return;
+        }
+        popover.close({
+            action,
+            mode: data.get('mode') ?? 'normal',
+            bonus,
+            ability: data.get('ability') ?? null,
+            rollMode: data.get('rollMode') ?? game.settings.get('core', 'rollMode')
+        });
+    };
+
+    for (const button of form.querySelectorAll('.bg3-roll-options-roll')) {
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            submit(button.dataset.action);
+        });
+    }
+
+    // Enter rolls the first action
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        submit(actions[0]?.action);
+    });
+
+    form.addEventListener('contextmenu', (event) => event.stopPropagation());
+
+    // Only one popover at a time
+    const popover = openPopover(form, { group: 'rollOptions', closeOnOutsideClick: true });
+    positionAnchored(form, anchor);
+    form.querySelector('input[name="bonus"]')?.focus();
+
+    return popover.result;
+}
+
+/**
+ * Turn chosen roll options into dnd5e roll process arguments
+ * @param {{mode: string, bonus: string, rollMode: string}} options - Options from showRollOptions
+ * @returns {{config: Object, dialog: Object, message: Object}}
+ */
+export function getRollArguments({ mode, bonus, rollMode }) {
+    const config = {
+        advantage: mode === 'advantage',
+        disadvantage: mode === 'disadvantage'
+    };
+    // Same data key the dnd5e roll dialog uses for its situational bonus field
+    if (bonus) config.rolls = [{ parts: ['@situational'], data: { situational: bonus } }];
+
+    // The popover replaces the roll configuration dialog
+    return { config, dialog: { configure: false }, message: { rollMode } };
+}
@@ -0,0 +1,64 @@
+/**
+ * Spell Slot Picker
+ * BG3-style inline picker that pops out of a spell cell and lets the player
+ * choose which spell slot (or pact/apothecary slot) to spend.
+ */
+
+import { createElement, openPopover, positionAnchored } from '../../utils/hudPopover.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+
+/**
+ * Show the slot picker next to an anchor element
+ * Resolves with the chosen slot key, or null if the picker was dismissed.
+ * @param {Object} options
+ * @param {HTMLElement} [options.anchor] - Element to position the picker above (usually the cell)
+ * @param {Array<Object>} options.slots - Slots from getCastingSlots()
+ * @param {string} [options.title] - Optional title (spell name)
+ * @returns {Promise<string|null>}
+ */
+export function showSlotPicker({ anchor = null, slots = [], title = '' } = {}) {
+    const picker = createElement('div', ['bg3-slot-picker']);
+
+    if (title) {
+        picker.appendChild(createElement('div', ['bg3-slot-picker-title'], title));
+    }
+
+    const list = createElement('div', ['bg3-slot-picker-slots']);
+
+    for (const slot of slots) {
+        const button = createElement('div', ['bg3-slot-picker-slot']);
+        if (slot.isPact) button.classList.add('pact');
+        if (slot.isApothecary) button.classList.add('apothecary');
+        button.dataset.slot = slot.key;
+        button.dataset.tooltip = slot.label;
+        button.dataset.tooltipDirection = 'UP';
+
+        button.appendChild(createElement('span', ['slot-level'], slot.short));
+        button.appendChild(createElement('span', ['slot-count'], `${slot.value}/${slot.max}`));
+
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            popover.close(slot.key);
+        });
+
+        list.appendChild(button);
+    }
+    picker.appendChild(list);
+
+    picker.appendChild(createElement('div', ['bg3-slot-picker-hint'],
+        game.i18n.localize(`${MODULE_ID}.SlotPicker.Hint`)));
+
+    // Right-clicking the picker dismisses it
+    picker.addEventListener('contextmenu', (event) => {
+        event.preventDefault();
+        popover.dismiss();
+    });
+
+    // Only one picker at a time
+    const popover = openPopover(picker, { group: 'slotPicker', closeOnOutsideClick: true });
+    positionAnchored(picker, anchor);
+
+    return popover.result;
+}
@@ -0,0 +1,96 @@
+/**
+ * Sort Order Dialog
+ * Drag-and-drop list to reorder the item types used by the auto-sort type order.
+ */
+import { DEFAULT_TYPE_ORDER } from '../../features/DnD5eAutoSort.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+
+/**
+ * Get a localized label for an item type
+ * @param {string} type - Item type
+ * @returns {string}
+ */
+function getTypeLabel(type) {
+    const label = CONFIG.Item?.typeLabels?.[type];
+    return label ? game.i18n.localize(label) : type;
+}
+
+/**
+ * Make the rows of a list reorderable by dragging
+ * @param {HTMLElement} list - The list element
+ */
+function enableDragSort(list) {
+    let dragged = null;
+
+    list.addEventListener('dragstart', (event) => {
+        dragged = event.target.closest('li');
+        if (!dragged) return;
+        dragged.classList.add('dragging');
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', dragged.dataset.type);
+    });
+
+    list.addEventListener('dragover', (event) => {
+        if (!dragged) return;
+        event.preventDefault();
+        const target = event.target.closest('li');
+        if (!target || target === dragged) return;
+
+        // Drop above or below the hovered row depending on the pointer position
+        const { top, height } = target.getBoundingClientRect();
+        const after = event.clientY > top + height / 2;
+        target.parentElement.insertBefore(dragged, after ? target.nextSibling : target);
+    });
+
+    list.addEventListener('dragend', () => {
+        dragged?.classList.remove('dragging');
+        dragged = null;
+    });
+}
+
+/**
+ * Show the type order editor and save the result
+ * @returns {Promise<void>}
+ */
+export async function showSortOrderDialog() {
+    const current = ui.BG3HOTBAR?.registry?.activeAdapter?.autoSort?.getTypeOrder() ?? DEFAULT_TYPE_ORDER;
+    const rows = current.map(type => `
+        <li class="bg3-sort-order-row" draggable="true" data-type="${type}">
+            <i class="fas fa-grip-vertical"></i>
+            <span>${foundry.utils.escapeHTML(getTypeLabel(type))}</span>
+        </li>`).join('');
+
+    const result = await foundry.applications.api.DialogV2.wait({
+        window: { title: game.i18n.localize(`${MODULE_ID}.AutoSort.TypeOrderTitle`) },
+        classes: ['bg3-sort-order-dialog'],
+        content: `
+            <p class="hint">${game.i18n.localize(`${MODULE_ID}.AutoSort.TypeOrderHint`)}</p>
+            <ol class="bg3-sort-order-list">${rows}</ol>`,
+        buttons: [
+            {
+                action: 'save',
+                label: game.i18n.localize(`${MODULE_ID}.AutoSort.Save`),
+                icon: 'fas fa-check',
+                default: true,
+                callback: (event, button) => Array.from(button.form.querySelectorAll('.bg3-sort-order-row'))
+                    .map(row => row.dataset.type)
+            },
+            {
+                action: 'reset',
+                label: game.i18n.localize(`${MODULE_ID}.AutoSort.Reset`),
+                icon: 'fas fa-rotate-left',
+                callback: () => [...DEFAULT_TYPE_ORDER]
+            }
+        ],
+        render: (event, dialog) => {
+            const list = dialog.element.querySelector('.bg3-sort-order-list');
+            if (list) enableDragSort(list);
+        },
+        rejectClose: false
+    });
+
+    if (Array.isArray(result)) {
+        await game.settings.set(MODULE_ID, 'autoSortTypeOrder', result);
+    }
+}
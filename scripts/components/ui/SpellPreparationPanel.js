@@ -0,0 +1,134 @@
+/**
+ * Spell Preparation Panel
+ * HUD popover listing learned spells by level: click a spell to prepare or unprepare it.
+ * Shows prepared counts against each class's limit, and syncs the hotbar on close.
+ */
+
+import {
+    getPreparableSpellsByLevel,
+    getPreparationLimits,
+    setPrepared
+} from '../../utils/spellPreparation.js';
+import { createElement, openPopover } from '../../utils/hudPopover.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+
+/**
+ * Check if the actor has any learned spells to prepare
+ * @param {Actor} actor - The actor
+ * @returns {boolean}
+ */
+export function hasPreparableSpells(actor) {
+    return getPreparableSpellsByLevel(actor).some(group => group.spells.some(spell => spell.togglable));
+}
+
+/**
+ * Show the spell preparation panel
+ * @param {Actor} actor - The actor preparing spells
+ * @returns {Promise<void>} Resolves once the panel is closed and the hotbar synced
+ */
+export function showSpellPreparationPanel(actor) {
+    if (!actor) return Promise.resolve();
+
+    const panel = createElement('div', ['bg3-prep-panel']);
+
+    panel.appendChild(createElement('div', ['bg3-prep-panel-title'],
+        game.i18n.localize(`${MODULE_ID}.SpellPreparation.Title`)));
+
+    const limits = createElement('div', ['bg3-prep-limits']);
+    panel.appendChild(limits);
+
+    const body = createElement('div', ['bg3-prep-panel-body']);
+    panel.appendChild(body);
+
+    const footer = createElement('div', ['bg3-prep-panel-footer']);
+    const doneButton = createElement('button', ['bg3-prep-done']);
+    doneButton.type = 'button';
+    doneButton.innerHTML = '<i class="fas fa-check"></i> ';
+    doneButton.append(game.i18n.localize(`${MODULE_ID}.SpellPreparation.Done`));
+    footer.appendChild(doneButton);
+    panel.appendChild(footer);
+
+    // Spells toggled while the panel is open
+    const toggled = new Set();
+    let updating = false;
+
+    const render = () => {
+        limits.innerHTML = '';
+        for (const limit of getPreparationLimits(actor)) {
+            const entry = createElement('span', ['bg3-prep-limit'],
+                game.i18n.format(`${MODULE_ID}.SpellPreparation.Limit`, limit));
+            if (limit.value > limit.max) entry.classList.add('over-limit');
+            limits.appendChild(entry);
+        }
+
+        body.innerHTML = '';
+        const groups = getPreparableSpellsByLevel(actor);
+        if (groups.length === 0) {
+            body.appendChild(createElement('div', ['bg3-prep-empty'],
+                game.i18n.localize(`${MODULE_ID}.SpellPreparation.NoSpells`)));
+            return;
+        }
+
+        for (const group of groups) {
+            const section = createElement('div', ['bg3-prep-section']);
+            const prepared = group.spells.filter(spell => spell.prepared).length;
+            section.appendChild(createElement('div', ['bg3-prep-section-title'],
+                `${group.label} (${prepared}/${group.spells.length})`));
+
+            for (const spell of group.spells) {
+                const row = createElement('div', ['bg3-prep-row']);
+                if (spell.prepared) row.classList.add('prepared');
+                if (!spell.togglable) {
+                    row.classList.add('locked');
+                    row.dataset.tooltip = game.i18n.localize(`${MODULE_ID}.SpellPreparation.AlwaysPrepared`);
+                }
+
+                const img = createElement('img', ['bg3-prep-row-img']);
+                img.src = spell.item.img;
+                row.appendChild(img);
+                row.appendChild(createElement('span', ['bg3-prep-row-label'], spell.item.name));
+
+                const icon = createElement('i', ['bg3-prep-row-state', 'fas']);
+                icon.classList.add(spell.togglable ? (spell.prepared ? 'fa-book-open' : 'fa-book') : 'fa-lock');
+                row.appendChild(icon);
+
+                if (spell.togglable) {
+                    row.addEventListener('click', async (event) => {
+                        event.preventDefault();
+                        if (updating) return;
+                        updating = true;
+                        try {
+                            await setPrepared(spell.item, !spell.prepared);
+                            toggled.add(spell.item);
+                        } catch (error) {
+                            console.error('[bg3-hud-dnd5e] SpellPreparation | Error toggling prepared state:', error);
+                        }
+                        updating = false;
+                        render();
+                    });
+                }
+
+                section.appendChild(row);
+            }
+
+            body.appendChild(section);
+        }
+    };
+
+    doneButton.addEventListener('click', () => popover.close());
+
+    render();
+
+    // Only one panel at a time; Escape closes it like Done
+    const popover = openPopover(panel, {
+        group: 'spellPreparation',
+        onClose: async () => {
+            // Add the toggled spells that are now prepared to the hotbar and drop unprepared ones
+            if (toggled.size > 0) {
+                await ui.BG3HOTBAR?.registry?.activeAdapter?.autoPopulate?.syncSpells(actor, Array.from(toggled));
+            }
+        }
+    });
+    return popover.result;
+}
@@ -0,0 +1,316 @@
+/**
+ * D&D 5e Action Economy Tracker
+ * Tracks spent action / bonus action / reaction per combatant for the current turn,
+ * plus the actor's legendary action pool (system.resources.legact).
+ */
+
+import { getHUDForActor } from '../utils/hudRefresh.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+const FLAG_KEY = 'actionEconomy';
+
+/**
+ * Activation types tracked per turn
+ */
+export const ECONOMY_TYPES = ['action', 'bonus', 'reaction'];
+
+/**
+ * D&D 5e Action Economy Implementation
+ * State lives in actor flags (`flags[MODULE_ID].actionEconomy`) so every client sees it
+ * and the adapter's onAdapterFlagsChanged can refresh the HUD.
+ */
+export class DnD5eActionEconomy {
+    constructor() {
+        this._hooksRegistered = false;
+    }
+
+    /**
+     * Check if tracking is enabled in settings
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return game.settings.get(MODULE_ID, 'trackActionEconomy') ?? true;
+    }
+
+    /**
+     * Check if an actor is currently taking part in a started combat
+     * @param {Actor} actor - The actor
+     * @returns {boolean}
+     */
+    isTracking(actor) {
+        if (!actor || !this.isEnabled()) return false;
+        const combat = game.combat;
+        if (!combat?.started) return false;
+        // Compare by uuid so unlinked token actors only match their own combatant
+        return combat.combatants.some(c => c.actor?.uuid === actor.uuid);
+    }
+
+    /**
+     * Get which action types the actor has spent this turn
+     * State from a different (or ended) combat counts as unspent
+     * @param {Actor} actor - The actor
+     * @returns {{action: boolean, bonus: boolean, reaction: boolean}}
+     */
+    getState(actor) {
+        const state = { action: false, bonus: false, reaction: false };
+        if (!this.isTracking(actor)) return state;
+
+        const saved = actor.getFlag(MODULE_ID, FLAG_KEY);
+        if (!saved || saved.combat !== game.combat.id) return state;
+
+        for (const type of ECONOMY_TYPES) {
+            state[type] = !!saved[type];
+        }
+        return state;
+    }
+
+    /**
+     * Mark an action type as spent or available
+     * @param {Actor} actor - The actor
+     * @param {string} type - 'action', 'bonus' or 'reaction'
+     * @param {boolean} spent - New spent state
+     * @returns {Promise<void>}
+     */
+    async setSpent(actor, type, spent) {
+        if (!ECONOMY_TYPES.includes(type) || !this.isTracking(actor)) return;
+
+        const state = this.getState(actor);
+        if (state[type] === spent) return;
+
+        state[type] = spent;
+        await actor.setFlag(MODULE_ID, FLAG_KEY, { combat: game.combat.id, ...state });
+    }
+
+    /**
+     * Toggle an action type between spent and available
+     * @param {Actor} actor - The actor
+     * @param {string} type - 'action', 'bonus' or 'reaction'
+     * @returns {Promise<void>}
+     */
+    async toggle(actor, type) {
+        const state = this.getState(actor);
+        await this.setSpent(actor, type, !state[type]);
+    }
+
+    /**
+     * Reset the actor's action economy (start of their turn)
+     * @param {Actor} actor - The actor
+     * @returns {Promise<void>}
+     */
+    async resetActor(actor) {
+        if (!actor) return;
+
+        const saved = actor.getFlag(MODULE_ID, FLAG_KEY);
+        if (saved) {
+            await actor.unsetFlag(MODULE_ID, FLAG_KEY);
+        }
+
+        await this.resetLegendaryActions(actor);
+    }
+
+    /**
+     * Get the actor's legendary action pool
+     * @param {Actor} actor - The actor
+     * @returns {{value: number, max: number}|null} Pool or null if the actor has none
+     */
+    getLegendaryActions(actor) {
+        const legact = actor?.system?.resources?.legact;
+        const max = parseInt(legact?.max) || 0;
+        if (max <= 0) return null;
+
+        // dnd5e v4+ tracks spent and derives value; older versions store value directly
+        const value = legact.value ?? (max - (parseInt(legact.spent) || 0));
+        return { value: Math.max(0, Math.min(value, max)), max };
+    }
+
+    /**
+     * Set the remaining legendary actions
+     * @param {Actor} actor - The actor
+     * @param {number} value - Remaining legendary actions
+     * @returns {Promise<void>}
+     */
+    async setLegendaryActions(actor, value) {
+        const pool = this.getLegendaryActions(actor);
+        if (!pool) return;
+
+        const clamped = Math.max(0, Math.min(value, pool.max));
+        if (clamped === pool.value) return;
+
+        const usesSpent = foundry.utils.hasProperty(actor._source, 'system.resources.legact.spent');
+        if (usesSpent) {
+            await actor.update({ 'system.resources.legact.spent': pool.max - clamped });
+        } else {
+            await actor.update({ 'system.resources.legact.value': clamped });
+        }
+    }
+
+    /**
+     * Restore the full legendary action pool
+     * @param {Actor} actor - The actor
+     * @returns {Promise<void>}
+     */
+    async resetLegendaryActions(actor) {
+        const pool = this.getLegendaryActions(actor);
+        if (!pool || pool.value === pool.max) return;
+        await this.setLegendaryActions(actor, pool.max);
+    }
+
+    /**
+     * Record activities used from the HUD
+     * Marks their activation type as spent and spends legendary actions when dnd5e didn't
+     * @param {Array<{activity: Object, results: Object}>} uses - Captured activity uses
+     * @returns {Promise<void>}
+     */
+    async recordActivityUses(uses) {
+        if (!this.isEnabled()) return;
+
+        for (const { activity, results } of uses) {
+            const actor = activity?.actor;
+            if (!actor || !this.isTracking(actor)) continue;
+
+            const type = activity.activation?.type;
+
+            if (ECONOMY_TYPES.includes(type)) {
+                await this.setSpent(actor, type, true);
+            } else if (type === 'legendary') {
+                await this.spendLegendaryActions(activity, results);
+            }
+        }
+    }
+
+    /**
+     * Spend a legendary activity's cost from the pool, unless dnd5e already did
+     * @param {Object} activity - The legendary activity that was used
+     * @param {Object} [results] - Usage results from dnd5e.postUseActivity
+     * @returns {Promise<void>}
+     */
+    async spendLegendaryActions(activity, results) {
+        const actor = activity?.actor;
+        if (!actor) return;
+
+        const actorUpdates = foundry.utils.flattenObject(results?.updates?.actor ?? {});
+        const alreadyConsumed = Object.keys(actorUpdates).some(key => key.includes('resources.legact'));
+        if (alreadyConsumed) return;
+
+        const pool = this.getLegendaryActions(actor);
+        if (!pool) return;
+        const cost = parseInt(activity.activation?.value) || 1;
+        await this.setLegendaryActions(actor, pool.value - cost);
+    }
+
+    /**
+     * Set economy datasets on a cell element
+     * A cell is spent when every tracked activation type it offers is spent,
+     * or when its legendary actions cost more than the remaining pool.
+     * @param {HTMLElement} cellElement - The cell element (already decorated with activityActionTypes)
+     * @param {Actor} actor - The actor owning the cell
+     */
+    decorateCell(cellElement, actor) {
+        if (!cellElement) return;
+
+        const types = (cellElement.dataset.activityActionTypes || cellElement.dataset.actionType || '')
+            .split(',')
+            .filter(Boolean);
+
+        let spent = false;
+        if (types.length > 0 && this.isTracking(actor)) {
+            const state = this.getState(actor);
+            const pool = this.getLegendaryActions(actor);
+            const cost = parseInt(cellElement.dataset.legendaryCost) || 1;
+
+            spent = types.every(type => {
+                if (ECONOMY_TYPES.includes(type)) return state[type];
+                if (type === 'legendary') return !!pool && pool.value < cost;
+                return false;
+            });
+        }
+
+        if (spent) {
+            cellElement.dataset.economySpent = 'true';
+        } else {
+            delete cellElement.dataset.economySpent;
+        }
+    }
+
+    /**
+     * Refresh economy state on all visible HUD cells and filter pips
+     * @param {Actor} actor - The actor whose state changed
+     */
+    refresh(actor) {
+        const hotbarApp = getHUDForActor(actor);
+        if (!hotbarApp) return;
+
+        requestAnimationFrame(() => {
+            for (const containerKey of ['hotbar', 'weaponSets', 'quickAccess']) {
+                const container = hotbarApp.components[containerKey];
+                for (const grid of container?.gridContainers ?? []) {
+                    for (const cell of grid?.cells ?? []) {
+                        if (!cell?.element?.isConnected) continue;
+                        this.decorateCell(cell.element, actor);
+                    }
+                }
+            }
+
+            this.updatePips(actor);
+        });
+    }
+
+    /**
+     * Update the pip elements rendered by the filter container
+     * @param {Actor} actor - The actor
+     */
+    updatePips(actor) {
+        const root = document.getElementById('bg3-hotbar-container');
+        if (!root) return;
+
+        const tracking = this.isTracking(actor);
+        const state = this.getState(actor);
+        const pool = this.getLegendaryActions(actor);
+
+        for (const pip of root.querySelectorAll('.bg3-economy-pip[data-economy]')) {
+            pip.style.display = tracking ? '' : 'none';
+            const type = pip.dataset.economy;
+            if (ECONOMY_TYPES.includes(type)) {
+                pip.classList.toggle('spent', state[type]);
+            } else if (type === 'legendary' && pool) {
+                const index = parseInt(pip.dataset.index) || 0;
+                pip.classList.toggle('spent', index >= pool.value);
+            }
+        }
+    }
+
+    /**
+     * Register combat hooks (turn start reset, combat end refresh)
+     * Resets are written by the active GM only to avoid duplicate updates
+     */
+    registerHooks() {
+        if (this._hooksRegistered) return;
+
+        const onTurnStart = async (combat) => {
+            if (!combat?.started || !game.users.activeGM?.isSelf) return;
+
+            const actor = combat.combatant?.actor;
+            if (!actor) return;
+
+            // The legendary pool is reset here even when turn tracking is off
+            if (this.isEnabled()) {
+                await this.resetActor(actor);
+            } else {
+                await this.resetLegendaryActions(actor);
+            }
+        };
+
+        // Also fires when combat starts, so the first combatant is reset once
+        Hooks.on('combatTurnChange', onTurnStart);
+
+        // Combat ending or starting changes whether pips show at all
+        const refreshCurrent = () => {
+            const actor = ui.BG3HUD_APP?.currentActor;
+            if (actor) this.refresh(actor);
+        };
+        Hooks.on('updateCombat', refreshCurrent);
+        Hooks.on('deleteCombat', refreshCurrent);
+
+        this._hooksRegistered = true;
+    }
+}
@@ -0,0 +1,157 @@
+/**
+ * D&D 5e Ammunition
+ * Shows the linked ammunition count on ranged weapon cells, marks them depleted when
+ * the ammunition runs out, and lets the player switch which ammunition a weapon uses.
+ */
+
+import { findAmmunition } from '../utils/consumptionPreview.js';
+import { getActivityList } from '../utils/activityUsage.js';
+import { getHUDForActor } from '../utils/hudRefresh.js';
+
+/**
+ * D&D 5e Ammunition Implementation
+ */
+export class DnD5eAmmunition {
+    constructor() {
+        this._hooksRegistered = false;
+    }
+
+    /**
+     * Check if a weapon fires ammunition
+     * @param {Item} item - The item
+     * @returns {boolean}
+     */
+    usesAmmunition(item) {
+        return item?.type === 'weapon' && !!item.system?.properties?.has?.('amm');
+    }
+
+    /**
+     * Check if an item is ammunition
+     * @param {Item} item - The item
+     * @returns {boolean}
+     */
+    isAmmunition(item) {
+        return item?.type === 'consumable' && item.system?.type?.value === 'ammo';
+    }
+
+    /**
+     * Get the ammunition items a weapon can fire
+     * @param {Item} weapon - The weapon
+     * @returns {Array<Item>}
+     */
+    getOptions(weapon) {
+        const actor = weapon?.actor;
+        if (!actor || !this.usesAmmunition(weapon)) return [];
+
+        const ammoType = weapon.system?.ammunition?.type;
+        return actor.items.filter(item =>
+            this.isAmmunition(item) && (!ammoType || item.system?.type?.subtype === ammoType)
+        );
+    }
+
+    /**
+     * Get the weapon's attack activities
+     * @param {Item} weapon - The weapon
+     * @returns {Array<Object>}
+     * @private
+     */
+    _getAttackActivities(weapon) {
+        return getActivityList(weapon).filter(activity => activity.type === 'attack');
+    }
+
+    /**
+     * Get the ammunition a weapon cell should display
+     * Uses the ammunition last chosen for the weapon's first attack activity.
+     * @param {Item} weapon - The weapon
+     * @returns {Item|null}
+     */
+    getLinkedAmmunition(weapon) {
+        if (!this.usesAmmunition(weapon)) return null;
+        return findAmmunition(weapon, this._getAttackActivities(weapon)[0] ?? null);
+    }
+
+    /**
+     * Link an ammunition item to all of the weapon's attack activities
+     * dnd5e reads this flag to preselect the ammunition in the usage dialog.
+     * @param {Item} weapon - The weapon
+     * @param {Item} ammo - The ammunition item
+     * @returns {Promise<void>}
+     */
+    async setAmmunition(weapon, ammo) {
+        const updates = {};
+        for (const activity of this._getAttackActivities(weapon)) {
+            updates[`flags.dnd5e.last.${activity.id}.ammunition`] = ammo.id;
+        }
+        if (Object.keys(updates).length === 0) return;
+        await weapon.update(updates);
+    }
+
+    /**
+     * Add ammunition data to a weapon's cell data
+     * @param {Object} cellData - Cell data from transformItemToCellData()
+     * @param {Item} weapon - The weapon
+     */
+    applyToCellData(cellData, weapon) {
+        if (!this.usesAmmunition(weapon)) return;
+
+        const ammo = this.getLinkedAmmunition(weapon);
+        const quantity = ammo?.system?.quantity ?? 0;
+        cellData.ammunition = ammo ? { id: ammo.id, name: ammo.name, img: ammo.img } : null;
+        cellData.quantity = quantity;
+        // Keep depletion set by other checks (uses, slots)
+        cellData.depleted = cellData.depleted || quantity <= 0;
+    }
+
+    /**
+     * Re-transform the current actor's ranged weapon cells
+     * @param {Actor} actor - The actor whose ammunition changed
+     */
+    refresh(actor) {
+        const hotbarApp = getHUDForActor(actor);
+        const adapter = ui.BG3HOTBAR?.registry?.activeAdapter;
+        if (!hotbarApp || !adapter) return;
+
+        requestAnimationFrame(async () => {
+            for (const containerKey of ['hotbar', 'weaponSets', 'quickAccess']) {
+                const container = hotbarApp.components[containerKey];
+                for (const grid of container?.gridContainers ?? []) {
+                    for (const cell of grid?.cells ?? []) {
+                        if (!cell?.data?.uuid || cell.data.type !== 'Item') continue;
+                        if (typeof cell.setData !== 'function') continue;
+
+                        const weapon = fromUuidSync(cell.data.uuid);
+                        if (!this.usesAmmunition(weapon)) continue;
+
+                        try {
+                            const newData = await adapter.transformItemToCellData(weapon);
+                            if (newData) await cell.setData({ ...cell.data, ...newData });
+                        } catch (error) {
+                            console.warn('[bg3-hud-dnd5e] Ammunition | Failed to refresh weapon cell:', error);
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Register hooks that refresh weapon cells when ammunition changes
+     */
+    registerHooks() {
+        if (this._hooksRegistered) return;
+
+        Hooks.on('updateItem', (item, changes) => {
+            if (changes?.system?.quantity === undefined) return;
+            if (!this.isAmmunition(item)) return;
+            this.refresh(item.parent);
+        });
+
+        const onAmmunitionAddedOrRemoved = (item) => {
+            if (this.isAmmunition(item)) this.refresh(item.parent);
+        };
+        Hooks.on('createItem', onAmmunitionAddedOrRemoved);
+        Hooks.on('deleteItem', onAmmunitionAddedOrRemoved);
+
+        this._hooksRegistered = true;
+    }
+}
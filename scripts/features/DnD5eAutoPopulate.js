@@ -1,4 +1,6 @@
 import { AutoPopulateFramework } from '/modules/bg3-hud-core/scripts/features/AutoPopulateFramework.js';
+import { getRuleChoices, matchesRules, parseSelection } from '../utils/autoPopulateRules.js';
+import { FAVORITES_SOURCE, getFavoriteEntries } from '../utils/favorites.js';
 
 const MODULE_ID = 'bg3-hud-dnd5e';
 
@@ -8,7 +10,8 @@ const MODULE_ID = 'bg3-hud-dnd5e';
  */
 export class DnD5eAutoPopulate extends AutoPopulateFramework {
     /**
-     * Get D&D 5e item type choices (grouped)
+     * Get D&D 5e item type choices (grouped) and the sheet favorites source, followed by the rule choices
+     * (activation type, spell level, school, concentration/ritual, feature type, equipped/attuned)
      * @returns {Promise<Array<{group: string, choices: Array<{value: string, label: string}>}>>}
      */
     async getItemTypeChoices() {
@@ -46,7 +49,14 @@ export class DnD5eAutoPopulate extends AutoPopulateFramework {
                     { value: 'tool', label: game.i18n.localize(`${MODULE_ID}.AutoPopulate.ItemTypes.Tools`) },
                     { value: 'loot', label: game.i18n.localize(`${MODULE_ID}.AutoPopulate.ItemTypes.Loot`) }
                 ]
-            }
+            },
+            {
+                group: game.i18n.localize(`${MODULE_ID}.AutoPopulate.Groups.Sources`),
+                choices: [
+                    { value: FAVORITES_SOURCE, label: game.i18n.localize(`${MODULE_ID}.AutoPopulate.ItemTypes.SheetFavorites`) }
+                ]
+            },
+            ...getRuleChoices()
         ];
     }
 
@@ -54,20 +64,28 @@ export class DnD5eAutoPopulate extends AutoPopulateFramework {
      * Get items from actor that match selected types
      * Includes D&D 5e-specific filtering (spell preparation, activities, etc.)
      * Excludes CPR actions which should only appear in quick access
+     * Selected values may mix item types, the sheet favorites source and rules (see utils/autoPopulateRules.js)
      * @param {Actor} actor - The actor
-     * @param {Array<string>} selectedTypes - Selected type values
+     * @param {Array<string>} selectedTypes - Selected type and rule values
      * @param {Object} [options] - Options object from configuration
      * @returns {Promise<Array<{uuid: string}>>}
      */
     async getMatchingItems(actor, selectedTypes, options = {}) {
         const items = [];
         const includeActivities = options?.includeActivities ?? false;
-        const wantsSpells = selectedTypes.includes('spell');
+        const selection = parseSelection(selectedTypes);
+        const rules = selection.rules;
+        const types = selection.types.filter(type => type !== FAVORITES_SOURCE);
+        const wantsFavorites = types.length !== selection.types.length;
+        // Rule-only selections (e.g. "all concentration spells") apply to every item type,
+        // unless the favorites source is selected, in which case the rules narrow the favorites
+        const ruleOnly = types.length === 0 && rules.size > 0 && !wantsFavorites;
+        const wantsSpells = types.includes('spell') || ruleOnly;
         const seenSpellUuids = new Set(); // Track spell source UUIDs to avoid duplicates
 
         for (const item of actor.items) {
-            // Check if item matches any selected type
-            if (!this._matchesType(item, selectedTypes)) {
+            // Check if item matches any selected type and every selected rule category
+            if (!(types.length > 0 || ruleOnly) || !this._matchesSelection(item, types, rules)) {
                 continue;
             }
 
@@ -120,23 +138,381 @@ export class DnD5eAutoPopulate extends AutoPopulateFramework {
         // For spells, also find Cast activities on features (monster spellcasting)
         // These are spells that haven't been cached yet (first use creates the cached copy)
         if (wantsSpells) {
-            const castActivitySpells = await this._getSpellsFromCastActivities(actor, seenSpellUuids);
+            const castActivitySpells = await this._getSpellsFromCastActivities(actor, seenSpellUuids, rules);
             items.push(...castActivitySpells);
         }
 
+        // Items and activities pinned to the character sheet's Favorites tab
+        if (wantsFavorites) {
+            const included = new Set(items.map(entry => entry.uuid));
+            for (const entry of getFavoriteEntries(actor)) {
+                if (included.has(entry.uuid) || !matchesRules(entry.item, rules)) continue;
+                items.push({ uuid: entry.uuid, type: entry.type });
+                included.add(entry.uuid);
+            }
+        }
+
         return items;
     }
 
+    /**
+     * Link the preset feature used to pick a configuration per actor
+     * @param {DnD5eAutoPopulatePresets} presets - The presets feature
+     */
+    setPresets(presets) {
+        this.presets = presets;
+    }
+
+    /**
+     * Get the auto-populate configuration for an actor
+     * The actor's preset if it has one, otherwise the world configuration.
+     * @param {Actor} actor - The actor
+     * @returns {Object} Configuration ({ grid0, grid1, grid2, options })
+     */
+    getConfiguration(actor) {
+        return this.presets?.getConfiguration(actor)
+            ?? game.settings.get(MODULE_ID, 'autoPopulateConfiguration')
+            ?? {};
+    }
+
+    /**
+     * Load the actor's saved HUD state
+     * @param {Actor} actor - The actor
+     * @param {PersistenceManager} [persistenceManager] - Manager already set to the actor (e.g. from token creation)
+     * @returns {Promise<{persistence: PersistenceManager, state: Object, grids: Array<Object>}>}
+     * @private
+     */
+    async _loadHotbarState(actor, persistenceManager = null) {
+        let persistence = persistenceManager;
+        if (!persistence) {
+            const { PersistenceManager } = await import('/modules/bg3-hud-core/scripts/managers/PersistenceManager.js');
+            persistence = new PersistenceManager();
+            persistence.setToken(actor);
+        }
+
+        const state = await persistence.loadState();
+        return { persistence, state, grids: state.hotbar?.grids ?? [] };
+    }
+
+    /**
+     * Save the actor's HUD state and refresh the HUD if it shows the actor
+     * @param {Actor} actor - The actor
+     * @param {PersistenceManager} persistence - Persistence manager from _loadHotbarState()
+     * @param {Object} state - The modified state
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _saveHotbarState(actor, persistence, state) {
+        await persistence.saveState(state);
+
+        if (ui.BG3HUD_APP?.currentActor?.id === actor.id) {
+            await ui.BG3HUD_APP.refresh();
+        }
+    }
+
+    /**
+     * Get the uuids already placed in any hotbar grid
+     * @param {Array<Object>} grids - Hotbar grids
+     * @returns {Set<string>}
+     * @private
+     */
+    _getPlacedUuids(grids) {
+        const placed = new Set();
+        for (const grid of grids) {
+            for (const cellData of Object.values(grid?.items ?? {})) {
+                if (cellData?.uuid) placed.add(cellData.uuid);
+            }
+        }
+        return placed;
+    }
+
+    /**
+     * Place an entry into a grid's first free slot after the items that sort before it
+     * Falls back to the first free slot anywhere in the grid.
+     * Slot keys use format "col-row", filled left to right, top to bottom.
+     * @param {Object} grid - Hotbar grid ({ rows, cols, items })
+     * @param {{uuid: string, type?: string}} entry - Entry to place
+     * @returns {Promise<boolean>} True if a free slot was found
+     * @private
+     */
+    async _placeInGrid(grid, entry) {
+        grid.items ??= {};
+        const indexOf = (slotKey) => {
+            const [col, row] = slotKey.split('-').map(Number);
+            return row * grid.cols + col;
+        };
+
+        // Find the slot of the last existing item that sorts before the new one
+        let after = -1;
+        if (this.autoSort) {
+            const existing = Object.entries(grid.items)
+                .filter(([, cellData]) => cellData?.uuid)
+                .map(([slotKey, cellData]) => ({ uuid: cellData.uuid, slotKey }));
+            const candidate = { uuid: entry.uuid };
+            const sorted = [...existing, candidate];
+            await this.autoSort.enrichItemsForSort(sorted);
+            await this.autoSort.sortItems(sorted);
+
+            const position = sorted.indexOf(candidate);
+            for (const previous of sorted.slice(0, position)) {
+                after = Math.max(after, indexOf(previous.slotKey));
+            }
+        }
+
+        const total = grid.rows * grid.cols;
+        for (const start of [after + 1, 0]) {
+            for (let index = start; index < total; index++) {
+                const slotKey = `${index % grid.cols}-${Math.floor(index / grid.cols)}`;
+                if (grid.items[slotKey]) continue;
+                grid.items[slotKey] = { uuid: entry.uuid, type: entry.type ?? 'Item' };
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Replace the contents of the configured hotbar grids with a fresh auto-populate pass
+     * Grids without a "gridN" entry in the configuration are left untouched.
+     * @param {Actor} actor - The actor
+     * @param {Object} configuration - Configuration ({ grid0, grid1, grid2, options })
+     * @param {PersistenceManager} [persistenceManager] - Manager already set to the actor
+     * @returns {Promise<number>} Number of placed cells
+     */
+    async populateGrids(actor, configuration, persistenceManager = null) {
+        if (!actor || !configuration) return 0;
+
+        const { persistence, state, grids } = await this._loadHotbarState(actor, persistenceManager);
+        const placed = new Set();
+
+        for (const [index, grid] of grids.entries()) {
+            const key = `grid${index}`;
+            if (!grid || !(key in configuration)) continue;
+            grid.items = {};
+
+            const types = configuration[key] ?? [];
+            if (types.length === 0) continue;
+
+            const matches = (await this.getMatchingItems(actor, types, configuration.options ?? {}))
+                .filter(entry => !placed.has(entry.uuid));
+            if (this.autoSort) {
+                await this.autoSort.enrichItemsForSort(matches);
+                await this.autoSort.sortItems(matches);
+            }
+
+            // Fill left to right, top to bottom ("col-row" slot keys)
+            for (const [position, entry] of matches.slice(0, grid.rows * grid.cols).entries()) {
+                grid.items[`${position % grid.cols}-${Math.floor(position / grid.cols)}`] = { uuid: entry.uuid, type: entry.type ?? 'Item' };
+                placed.add(entry.uuid);
+            }
+        }
+
+        await this._saveHotbarState(actor, persistence, state);
+        return placed.size;
+    }
+
+    /**
+     * Add items to the hotbar grids whose auto-populate configuration matches them
+     * Uses the same filtering as token creation (preparation, activities, CPR).
+     * @param {Actor} actor - The actor
+     * @param {Array<Item>} items - Items gained by the actor
+     * @returns {Promise<Array<string>>} Names of the items that were placed
+     */
+    async addItemsToHotbar(actor, items) {
+        if (!actor || items.length === 0) return [];
+
+        const configuration = this.getConfiguration(actor);
+        const itemUuids = items.map(item => item.uuid);
+        const belongsToItems = (uuid) => itemUuids.some(itemUuid => uuid === itemUuid || uuid.startsWith(`${itemUuid}.`));
+
+        // Core's auto-add is opted out for these items (noBG3AutoAdd), so this is the only writer
+        const { persistence, state, grids } = await this._loadHotbarState(actor);
+        const placed = this._getPlacedUuids(grids);
+        const added = new Set();
+
+        for (const [key, types] of Object.entries(configuration)) {
+            const index = key.match(/^grid(\d+)$/)?.[1];
+            const grid = index !== undefined ? grids[Number(index)] : null;
+            if (!grid || !types?.length) continue;
+
+            const matches = await this.getMatchingItems(actor, types, configuration.options ?? {});
+            for (const entry of matches) {
+                // Skip other items and anything already on the hotbar
+                if (!belongsToItems(entry.uuid) || placed.has(entry.uuid)) continue;
+                if (!(await this._placeInGrid(grid, entry))) continue;
+                placed.add(entry.uuid);
+                const item = items.find(i => entry.uuid === i.uuid || entry.uuid.startsWith(`${i.uuid}.`));
+                if (item) added.add(item.name);
+            }
+        }
+
+        if (added.size > 0) await this._saveHotbarState(actor, persistence, state);
+        return Array.from(added);
+    }
+
+    /**
+     * Place entries on the hotbar if they aren't there yet
+     * Goes into the first grid whose configuration includes the sheet favorites source,
+     * otherwise the first grid.
+     * @param {Actor} actor - The actor
+     * @param {Array<{uuid: string, type?: string}>} entries - Entries to place
+     * @returns {Promise<number>} Number of placed entries
+     */
+    async addFavoritesToHotbar(actor, entries) {
+        if (!actor || entries.length === 0) return 0;
+
+        const { persistence, state, grids } = await this._loadHotbarState(actor);
+        const configuration = this.getConfiguration(actor);
+        const index = grids.findIndex((grid, i) => grid && (configuration[`grid${i}`] ?? []).includes(FAVORITES_SOURCE));
+        const grid = grids[index === -1 ? 0 : index];
+        if (!grid) return 0;
+
+        const placed = this._getPlacedUuids(grids);
+        let added = 0;
+        for (const entry of entries) {
+            if (placed.has(entry.uuid) || !(await this._placeInGrid(grid, entry))) continue;
+            placed.add(entry.uuid);
+            added++;
+        }
+
+        if (added > 0) await this._saveHotbarState(actor, persistence, state);
+        return added;
+    }
+
+    /**
+     * Put entries on the first row of the first hotbar grid, in order
+     * The entries are moved from wherever they already are; items they displace from the
+     * first row move to the grid's first free slot, or are dropped if the grid is full.
+     * @param {Actor} actor - The actor
+     * @param {Array<string>} uuids - Uuids to place, left to right
+     * @returns {Promise<number>} Number of placed entries
+     */
+    async placeOnFirstRow(actor, uuids) {
+        const { persistence, state, grids } = await this._loadHotbarState(actor);
+        const grid = grids[0];
+        if (!grid || uuids.length === 0) return 0;
+
+        const placing = uuids.slice(0, grid.cols);
+        for (const otherGrid of grids) {
+            for (const [slotKey, cellData] of Object.entries(otherGrid?.items ?? {})) {
+                if (placing.includes(cellData?.uuid)) delete otherGrid.items[slotKey];
+            }
+        }
+
+        grid.items ??= {};
+        const displaced = [];
+        for (const [col, uuid] of placing.entries()) {
+            const slotKey = `${col}-0`;
+            if (grid.items[slotKey]) displaced.push(grid.items[slotKey]);
+            grid.items[slotKey] = { uuid, type: 'Item' };
+        }
+
+        for (const cellData of displaced) {
+            await this._placeInGrid(grid, cellData);
+        }
+
+        await this._saveHotbarState(actor, persistence, state);
+        return placing.length;
+    }
+
+    /**
+     * Clear hotbar cells that hold a removed item or one of its activities
+     * @param {Actor} actor - The actor
+     * @param {string} itemUuid - Uuid of the removed item
+     * @returns {Promise<number>} Number of cleared cells
+     */
+    async removeItemFromHotbar(actor, itemUuid) {
+        if (!actor || !itemUuid) return 0;
+
+        const { persistence, state, grids } = await this._loadHotbarState(actor);
+        let removed = 0;
+        for (const grid of grids) {
+            for (const [slotKey, cellData] of Object.entries(grid?.items ?? {})) {
+                const uuid = cellData?.uuid ?? '';
+                if (uuid !== itemUuid && !uuid.startsWith(`${itemUuid}.`)) continue;
+                delete grid.items[slotKey];
+                removed++;
+            }
+        }
+
+        if (removed > 0) await this._saveHotbarState(actor, persistence, state);
+        return removed;
+    }
+
+    /**
+     * Add or remove the hotbar cells of spells whose preparation changed
+     * Only the given learned spells (method "spell") are touched: ones the preparation filter
+     * now excludes are removed from the hotbar grids, newly usable ones are added to the
+     * first grid whose types and rules match them. Other spells are left alone, so cells the
+     * player removed on purpose stay removed.
+     * @param {Actor} actor - The actor
+     * @param {Array<Item>} spells - Spells whose preparation changed
+     * @returns {Promise<{added: Array<string>, removed: Array<string>}>} Names of added / removed spells
+     */
+    async syncSpells(actor, spells) {
+        const result = { added: [], removed: [] };
+        const changed = (spells ?? []).filter(item =>
+            item?.type === 'spell' &&
+            item.system?.method === 'spell' &&
+            item.actor === actor &&
+            !item.flags?.dnd5e?.cachedFor
+        );
+        if (!actor || changed.length === 0) return result;
+
+        try {
+            const { persistence, state, grids } = await this._loadHotbarState(actor);
+            const unusable = new Map(changed
+                .filter(item => !this._isSpellUsable(actor, item))
+                .map(item => [item.uuid, item]));
+
+            // Remove the changed spells that the preparation filter now excludes
+            for (const grid of grids) {
+                for (const [slotKey, cellData] of Object.entries(grid?.items ?? {})) {
+                    const item = unusable.get(cellData?.uuid);
+                    if (!item) continue;
+                    delete grid.items[slotKey];
+                    if (!result.removed.includes(item.name)) result.removed.push(item.name);
+                }
+            }
+
+            // Add the changed spells that became usable to the grids configured for spells
+            const configuration = this.getConfiguration(actor);
+            const placed = this._getPlacedUuids(grids);
+            const missing = changed.filter(item => !unusable.has(item.uuid) && !placed.has(item.uuid));
+
+            for (const item of missing) {
+                for (const [index, grid] of grids.entries()) {
+                    if (!grid) continue;
+                    const { types, rules } = parseSelection(configuration[`grid${index}`] ?? []);
+                    if (!this._matchesSelection(item, types, rules)) continue;
+                    if (await this._placeInGrid(grid, { uuid: item.uuid })) {
+                        result.added.push(item.name);
+                        break;
+                    }
+                }
+            }
+
+            if (result.added.length > 0 || result.removed.length > 0) {
+                await this._saveHotbarState(actor, persistence, state);
+            }
+        } catch (error) {
+            console.error('[bg3-hud-dnd5e] Error syncing prepared spells to the hotbar:', error);
+        }
+
+        return result;
+    }
+
     /**
      * Get spells from Cast activities on feature items (e.g., monster Spellcasting)
      * In dnd5e v5+, monsters have Cast activities that reference spells by UUID.
      * These spells appear in the spellbook when displayInSpellbook is true.
      * @param {Actor} actor - The actor
      * @param {Set<string>} seenSpellUuids - Set of already-seen spell UUIDs to avoid duplicates
+     * @param {Map<string, Set<string>>} [rules] - Rules the referenced spell must match
      * @returns {Promise<Array<{uuid: string, type?: string}>>}
      * @private
      */
-    async _getSpellsFromCastActivities(actor, seenSpellUuids) {
+    async _getSpellsFromCastActivities(actor, seenSpellUuids, rules = new Map()) {
         const spellItems = [];
 
         // Look through all feature items for Cast activities
@@ -159,6 +535,12 @@ export class DnD5eAutoPopulate extends AutoPopulateFramework {
 
                 // Skip if we've already seen this spell (from cached copies or other activities)
                 if (seenSpellUuids.has(spellUuid)) continue;
+
+                // Rules (school, level, concentration, ...) are checked against the referenced spell
+                if (rules.size > 0) {
+                    const spell = await fromUuid(spellUuid);
+                    if (!spell || !matchesRules(spell, rules)) continue;
+                }
                 seenSpellUuids.add(spellUuid);
 
                 // Add the Cast activity itself (it will be used to cast the spell)
@@ -317,6 +699,21 @@ export class DnD5eAutoPopulate extends AutoPopulateFramework {
         return false;
     }
 
+    /**
+     * Check if an item matches a grid's parsed selection
+     * Needs one of the selected types (if any) and every selected rule category.
+     * @param {Item} item - The item
+     * @param {Array<string>} types - Selected item type values
+     * @param {Map<string, Set<string>>} rules - Selected rules
+     * @returns {boolean}
+     * @private
+     */
+    _matchesSelection(item, types, rules) {
+        if (types.length === 0 && rules.size === 0) return false;
+        if (types.length > 0 && !this._matchesType(item, types)) return false;
+        return matchesRules(item, rules);
+    }
+
     /**
      * Check if spell is usable (prepared, always prepared, etc.)
      * When filtering is enabled for the actor type, only includes:
@@ -0,0 +1,331 @@
+/**
+ * D&D 5e Auto-Populate Presets
+ * Named grid configurations ("Martial", "Full Caster", "Monster", "Summon", ...) that replace the
+ * world auto-populate configuration for the actors they apply to. An actor uses the preset chosen
+ * for it (actor flag), otherwise (if detection is enabled) the first preset whose defaults match its
+ * classes, CR, or summon state.
+ * Presets live in a world setting and can be exported / imported as JSON to share between worlds.
+ */
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+const FLAG_KEY = 'autoPopulatePreset';
+const SETTING_KEY = 'autoPopulatePresets';
+
+/**
+ * Flag value that opts an actor out of presets (always use the world configuration)
+ */
+export const WORLD_CONFIGURATION = 'world';
+
+/**
+ * Marker written to exported files and checked on import
+ */
+const EXPORT_FORMAT = 'bg3-hud-dnd5e.autoPopulatePresets';
+
+/**
+ * Built-in presets, used as the setting default
+ * Names are lang keys; custom presets store plain names (game.i18n.localize passes them through).
+ */
+export const DEFAULT_PRESETS = {
+    martial: {
+        name: `${MODULE_ID}.AutoPopulatePresets.Defaults.Martial`,
+        grid0: ['weapon'],
+        grid1: ['feat'],
+        grid2: ['consumable:potion', 'consumable:poison', 'consumable:ammo'],
+        options: { includeActivities: false },
+        defaults: { classes: ['barbarian', 'fighter', 'monk', 'rogue'], crMin: null, crMax: null, summon: false }
+    },
+    halfCaster: {
+        name: `${MODULE_ID}.AutoPopulatePresets.Defaults.HalfCaster`,
+        grid0: ['weapon'],
+        grid1: ['spell', 'feat'],
+        grid2: ['consumable:potion', 'consumable:scroll'],
+        options: { includeActivities: false },
+        defaults: { classes: ['artificer', 'paladin', 'ranger'], crMin: null, crMax: null, summon: false }
+    },
+    fullCaster: {
+        name: `${MODULE_ID}.AutoPopulatePresets.Defaults.FullCaster`,
+        grid0: ['spell'],
+        grid1: ['weapon', 'feat'],
+        grid2: ['consumable:potion', 'consumable:scroll', 'consumable:wand'],
+        options: { includeActivities: false },
+        defaults: { classes: ['bard', 'cleric', 'druid', 'sorcerer', 'warlock', 'wizard'], crMin: null, crMax: null, summon: false }
+    },
+    monster: {
+        name: `${MODULE_ID}.AutoPopulatePresets.Defaults.Monster`,
+        grid0: ['weapon', 'feat'],
+        grid1: ['spell'],
+        grid2: ['consumable:potion'],
+        options: { includeActivities: false },
+        defaults: { classes: [], crMin: 0, crMax: null, summon: false }
+    },
+    summon: {
+        name: `${MODULE_ID}.AutoPopulatePresets.Defaults.Summon`,
+        grid0: ['weapon', 'feat'],
+        grid1: ['spell'],
+        grid2: [],
+        options: { includeActivities: true },
+        defaults: { classes: [], crMin: null, crMax: null, summon: true }
+    }
+};
+
+/**
+ * D&D 5e Auto-Populate Presets Implementation
+ */
+export class DnD5eAutoPopulatePresets {
+    /**
+     * Get all presets keyed by id
+     * @returns {Object<string, Object>}
+     */
+    getPresets() {
+        return game.settings.get(MODULE_ID, SETTING_KEY) ?? {};
+    }
+
+    /**
+     * Get a preset by id
+     * @param {string} presetId - Preset id
+     * @returns {Object|null}
+     */
+    getPreset(presetId) {
+        return this.getPresets()[presetId] ?? null;
+    }
+
+    /**
+     * Get a preset's display name
+     * @param {Object} preset - The preset
+     * @returns {string}
+     */
+    getLabel(preset) {
+        return game.i18n.localize(preset?.name ?? '');
+    }
+
+    /**
+     * Create or replace a preset
+     * @param {string} presetId - Preset id
+     * @param {Object} preset - Preset data
+     * @returns {Promise<void>}
+     */
+    async savePreset(presetId, preset) {
+        const presets = foundry.utils.deepClone(this.getPresets());
+        presets[presetId] = this._normalize(preset);
+        await game.settings.set(MODULE_ID, SETTING_KEY, presets);
+    }
+
+    /**
+     * Delete a preset
+     * Actors that chose it fall back to automatic selection.
+     * @param {string} presetId - Preset id
+     * @returns {Promise<void>}
+     */
+    async deletePreset(presetId) {
+        const presets = foundry.utils.deepClone(this.getPresets());
+        delete presets[presetId];
+        await game.settings.set(MODULE_ID, SETTING_KEY, presets);
+    }
+
+    /**
+     * Fill in missing fields so stored and imported presets share one shape
+     * @param {Object} preset - Preset data
+     * @returns {Object}
+     * @private
+     */
+    _normalize(preset) {
+        const list = (value) => (Array.isArray(value) ? value.filter(entry => typeof entry === 'string') : []);
+        const number = (value) => (value === null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+        const defaults = preset?.defaults ?? {};
+
+        return {
+            name: String(preset?.name ?? '').trim() || game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.Unnamed`),
+            grid0: list(preset?.grid0),
+            grid1: list(preset?.grid1),
+            grid2: list(preset?.grid2),
+            options: { includeActivities: !!preset?.options?.includeActivities },
+            defaults: {
+                classes: list(defaults.classes).map(identifier => identifier.trim().toLowerCase()).filter(Boolean),
+                crMin: number(defaults.crMin),
+                crMax: number(defaults.crMax),
+                summon: !!defaults.summon
+            }
+        };
+    }
+
+    /**
+     * Get the preset id chosen for an actor
+     * @param {Actor} actor - The actor
+     * @returns {string|null} Preset id, WORLD_CONFIGURATION, or null when nothing was chosen
+     */
+    getActorPresetId(actor) {
+        return actor?.getFlag(MODULE_ID, FLAG_KEY) ?? null;
+    }
+
+    /**
+     * Choose a preset for an actor
+     * @param {Actor} actor - The actor
+     * @param {string|null} presetId - Preset id, WORLD_CONFIGURATION, or null to use the detected default
+     * @returns {Promise<void>}
+     */
+    async setActorPresetId(actor, presetId) {
+        if (presetId) {
+            await actor.setFlag(MODULE_ID, FLAG_KEY, presetId);
+        } else {
+            await actor.unsetFlag(MODULE_ID, FLAG_KEY);
+        }
+    }
+
+    /**
+     * Check if an actor was created by a summon activity
+     * @param {Actor} actor - The actor
+     * @returns {boolean}
+     * @private
+     */
+    _isSummon(actor) {
+        return !!actor?.flags?.dnd5e?.summon;
+    }
+
+    /**
+     * Detect the default preset for an actor
+     * Summons use summon presets; characters use the preset listing their highest level class;
+     * NPCs use the first preset whose CR range contains theirs.
+     * @param {Actor} actor - The actor
+     * @returns {string|null} Preset id
+     */
+    detectPresetId(actor) {
+        if (!actor) return null;
+        const entries = Object.entries(this.getPresets());
+
+        if (this._isSummon(actor)) {
+            const summon = entries.find(([, preset]) => preset.defaults?.summon);
+            if (summon) return summon[0];
+        }
+
+        // Highest level class first
+        const classes = Object.entries(actor.classes ?? {})
+            .sort(([, a], [, b]) => (b.system?.levels ?? 0) - (a.system?.levels ?? 0))
+            .map(([identifier]) => identifier);
+        for (const identifier of classes) {
+            const match = entries.find(([, preset]) => preset.defaults?.classes?.includes(identifier));
+            if (match) return match[0];
+        }
+
+        if (actor.type === 'npc') {
+            const cr = actor.system?.details?.cr ?? 0;
+            const match = entries.find(([, preset]) => {
+                const { crMin = null, crMax = null, summon = false } = preset.defaults ?? {};
+                if (summon || (crMin === null && crMax === null)) return false;
+                return (crMin === null || cr >= crMin) && (crMax === null || cr <= crMax);
+            });
+            if (match) return match[0];
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if presets are picked automatically for actors without a chosen preset
+     * @returns {boolean}
+     */
+    isDetectionEnabled() {
+        return game.settings.get(MODULE_ID, 'autoPopulatePresetDetection');
+    }
+
+    /**
+     * Get the preset id that applies to an actor (chosen, else detected)
+     * @param {Actor} actor - The actor
+     * @returns {string|null} Preset id, or null to use the world configuration
+     */
+    resolvePresetId(actor) {
+        const chosen = this.getActorPresetId(actor);
+        if (chosen === WORLD_CONFIGURATION) return null;
+        if (chosen && this.getPreset(chosen)) return chosen;
+        return this.isDetectionEnabled() ? this.detectPresetId(actor) : null;
+    }
+
+    /**
+     * Get the grid configuration that applies to an actor
+     * @param {Actor} actor - The actor
+     * @returns {Object|null} Configuration ({ grid0, grid1, grid2, options }), or null for the world configuration
+     */
+    getConfiguration(actor) {
+        const presetId = this.resolvePresetId(actor);
+        const preset = presetId ? this.getPreset(presetId) : null;
+        if (!preset) return null;
+
+        const { grid0, grid1, grid2, options } = preset;
+        return { grid0, grid1, grid2, options };
+    }
+
+    /**
+     * Check if auto-populate runs on token creation for an actor
+     * @param {Actor} actor - The actor
+     * @returns {boolean}
+     * @private
+     */
+    _isAutoPopulateEnabled(actor) {
+        if (!game.settings.get(MODULE_ID, 'autoPopulateEnabled')) return false;
+        return actor.type !== 'character' || game.settings.get(MODULE_ID, 'autoPopulatePlayerCharacters');
+    }
+
+    /**
+     * Re-populate the grids of a newly created token from its preset
+     * Core has already filled the grids from the world configuration; nothing changes if no preset applies.
+     * @param {Actor} actor - The token's actor
+     * @param {PersistenceManager} persistenceManager - The persistence manager used by core for the grids
+     * @returns {Promise<void>}
+     */
+    async onTokenCreation(actor, persistenceManager) {
+        if (!actor || !this._isAutoPopulateEnabled(actor)) return;
+
+        const configuration = this.getConfiguration(actor);
+        if (!configuration) return;
+
+        const autoPopulate = ui.BG3HOTBAR?.registry?.activeAdapter?.autoPopulate;
+        await autoPopulate?.populateGrids(actor, configuration, persistenceManager);
+    }
+
+    /**
+     * Re-populate an actor's grids from the configuration that applies to it
+     * @param {Actor} actor - The actor
+     * @returns {Promise<number>} Number of placed cells
+     */
+    async apply(actor) {
+        const autoPopulate = ui.BG3HOTBAR?.registry?.activeAdapter?.autoPopulate;
+        if (!autoPopulate) return 0;
+        return autoPopulate.populateGrids(actor, autoPopulate.getConfiguration(actor));
+    }
+
+    /**
+     * Download all presets as a JSON file
+     */
+    exportPresets() {
+        const data = {
+            format: EXPORT_FORMAT,
+            version: game.modules.get(MODULE_ID)?.version ?? null,
+            presets: this.getPresets()
+        };
+        foundry.utils.saveDataToFile(JSON.stringify(data, null, 2), 'text/json', 'bg3-hud-dnd5e-presets.json');
+    }
+
+    /**
+     * Import presets from exported JSON
+     * Presets with the same id are replaced; others are kept.
+     * @param {string} json - File contents
+     * @returns {Promise<number>} Number of imported presets
+     * @throws {Error} If the file is not a preset export
+     */
+    async importPresets(json) {
+        const data = JSON.parse(json);
+        if (data?.format !== EXPORT_FORMAT || typeof data.presets !== 'object' || data.presets === null) {
+            throw new Error(game.i18n.localize(`${MODULE_ID}.AutoPopulatePresets.InvalidFile`));
+        }
+
+        const presets = foundry.utils.deepClone(this.getPresets());
+        let count = 0;
+        for (const [presetId, preset] of Object.entries(data.presets)) {
+            if (!presetId || typeof preset !== 'object' || preset === null) continue;
+            presets[presetId] = this._normalize(preset);
+            count++;
+        }
+
+        await game.settings.set(MODULE_ID, SETTING_KEY, presets);
+        return count;
+    }
+}
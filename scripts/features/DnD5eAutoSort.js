@@ -1,10 +1,91 @@
 import { AutoSortFramework } from '/modules/bg3-hud-core/scripts/features/AutoSortFramework.js';
+import { getActivityList } from '../utils/activityUsage.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+
+/**
+ * Default item type order (first to last)
+ */
+export const DEFAULT_TYPE_ORDER = ['weapon', 'feat', 'equipment', 'spell', 'consumable', 'tool', 'loot'];
+
+/**
+ * Available sort strategies (setting value -> lang key)
+ */
+export const SORT_STRATEGIES = {
+    type: `${MODULE_ID}.AutoSort.Strategies.Type`,
+    actionCost: `${MODULE_ID}.AutoSort.Strategies.ActionCost`,
+    spellLevel: `${MODULE_ID}.AutoSort.Strategies.SpellLevel`,
+    recent: `${MODULE_ID}.AutoSort.Strategies.Recent`,
+    frequency: `${MODULE_ID}.AutoSort.Strategies.Frequency`
+};
+
+/**
+ * Activation order for the action cost strategy; other activation types follow
+ */
+const ACTIVATION_ORDER = ['action', 'bonus', 'reaction'];
 
 /**
  * D&D 5e Auto Sort Implementation
  * Provides D&D 5e-specific item sorting logic
  */
 export class DnD5eAutoSort extends AutoSortFramework {
+    /**
+     * Link the usage tracker used by the recent and frequency strategies
+     * @param {DnD5eUsageTracker} usageTracker - The usage tracker
+     */
+    setUsageTracker(usageTracker) {
+        this.usageTracker = usageTracker;
+    }
+
+    /**
+     * Get the selected sort strategy
+     * @returns {string}
+     */
+    getStrategy() {
+        const strategy = game.settings.get(MODULE_ID, 'autoSortStrategy');
+        return strategy in SORT_STRATEGIES ? strategy : 'type';
+    }
+
+    /**
+     * Get the item type order, with any types missing from the setting appended
+     * @returns {Array<string>}
+     */
+    getTypeOrder() {
+        const order = game.settings.get(MODULE_ID, 'autoSortTypeOrder');
+        const valid = Array.isArray(order) ? order.filter(type => DEFAULT_TYPE_ORDER.includes(type)) : [];
+        return [...valid, ...DEFAULT_TYPE_ORDER.filter(type => !valid.includes(type))];
+    }
+
+    /**
+     * Build the sort data for a resolved item or activity
+     * @param {Item|Object|null} document - Item or activity
+     * @param {string} fallbackName - Name to use if the document is missing
+     * @returns {Object}
+     * @private
+     */
+    _buildSortData(document, fallbackName) {
+        if (!document) {
+            return { name: fallbackName, spellLevel: 99, featureType: '', school: '', activation: '', uses: 0, lastUsed: 0 };
+        }
+
+        // Activities sort with their parent item's data and their own activation
+        const item = document.item ?? document;
+        const activities = document.item ? [document] : getActivityList(item);
+        const activation = activities.map(activity => activity?.activation?.type).find(Boolean)
+            ?? item.system?.activation?.type ?? '';
+        const usage = this.usageTracker?.getStats(item) ?? { count: 0, lastUsed: 0 };
+
+        return {
+            name: document.name,
+            spellLevel: item.type === 'spell' ? (item.system?.level ?? 99) : 99,
+            featureType: item.type === 'feat' ? (item.system?.type?.value ?? '') : '',
+            school: item.type === 'spell' ? (item.system?.school ?? '') : '',
+            activation,
+            uses: usage.count,
+            lastUsed: usage.lastUsed
+        };
+    }
+
     /**
      * Enrich items with D&D 5e-specific sort data
      * @param {Array<Object>} items - Array of items to enrich
@@ -19,82 +100,125 @@ export class DnD5eAutoSort extends AutoSortFramework {
                     // Store basic data
                     item.name = itemData.name;
                     item.type = itemData.type;
-                    
-                    // Build D&D 5e-specific sort data
-                    item.sortData = {
-                        name: itemData.name,
-                        spellLevel: itemData.type === 'spell' ? (itemData.system?.level ?? 99) : 99,
-                        featureType: itemData.type === 'feat' ? (itemData.system?.type?.value ?? '') : ''
-                    };
-                } else {
-                    // Fallback if item not found
-                    item.sortData = {
-                        name: item.name || '',
-                        spellLevel: 99,
-                        featureType: ''
-                    };
                 }
+                // Build D&D 5e-specific sort data (falls back to defaults if the item is missing)
+                item.sortData = this._buildSortData(itemData, item.name || '');
             } catch (error) {
                 console.warn(`[bg3-hud-dnd5e] Failed to fetch item data for ${item.uuid}:`, error);
-                item.sortData = {
-                    name: item.name || '',
-                    spellLevel: 99,
-                    featureType: ''
-                };
+                item.sortData = this._buildSortData(null, item.name || '');
             }
         }
     }
 
     /**
-     * Sort items using D&D 5e priority rules
-     * Priority: weapon > feat > equipment > spell > consumable > tool > loot
+     * Sort items using the selected strategy
+     * Every strategy falls back to the type order (weapon > feat > equipment > spell > consumable >
+     * tool > loot by default) and the type-specific order within a type.
      * @param {Array<Object>} items - Array of items to sort in place
      * @returns {Promise<void>}
      */
     async sortItems(items) {
-        // Define D&D 5e item type order (first to last)
-        const typeOrder = ['weapon', 'feat', 'equipment', 'spell', 'consumable', 'tool', 'loot'];
-        
+        const typeOrder = this.getTypeOrder();
+        const strategy = this.getStrategy();
+
         items.sort((a, b) => {
-            // First, sort by item type according to our defined order
-            const typeIndexA = typeOrder.indexOf(a.type);
-            const typeIndexB = typeOrder.indexOf(b.type);
-            
-            // Handle different type priorities
-            if (typeIndexA !== typeIndexB) {
-                if (typeIndexA === -1) return 1;  // Unknown types go to the end
-                if (typeIndexB === -1) return -1;
-                return typeIndexA - typeIndexB;
+            const primary = this._compareByStrategy(strategy, a, b);
+            return primary !== 0 ? primary : this._compareByType(typeOrder, a, b);
+        });
+    }
+
+    /**
+     * Compare two items by the strategy's primary key
+     * @param {string} strategy - Sort strategy
+     * @param {Object} a - First item
+     * @param {Object} b - Second item
+     * @returns {number}
+     * @private
+     */
+    _compareByStrategy(strategy, a, b) {
+        switch (strategy) {
+            case 'actionCost': {
+                // Action > bonus action > reaction > everything else
+                const rank = (item) => {
+                    const index = ACTIVATION_ORDER.indexOf(item.sortData?.activation);
+                    return index === -1 ? ACTIVATION_ORDER.length : index;
+                };
+                return rank(a) - rank(b);
             }
-            
-            // Then apply D&D 5e type-specific sorting
-            switch (a.type) {
-                case 'spell':
-                    // Sort by spell level first (cantrips = 0, then 1-9)
-                    const levelA = a.sortData?.spellLevel ?? 99;
-                    const levelB = b.sortData?.spellLevel ?? 99;
-                    if (levelA !== levelB) {
-                        return levelA - levelB;
-                    }
-                    // If same level, sort alphabetically
-                    return (a.name || a.sortData?.name || '').localeCompare(b.name || b.sortData?.name || '');
-
-                case 'feat':
-                    // Sort by feature type first
-                    const typeA = a.sortData?.featureType || '';
-                    const typeB = b.sortData?.featureType || '';
-                    const typeCompare = typeA.localeCompare(typeB);
-                    if (typeCompare !== 0) {
-                        return typeCompare;
-                    }
-                    // If same type, sort alphabetically
-                    return (a.name || a.sortData?.name || '').localeCompare(b.name || b.sortData?.name || '');
-
-                default:
-                    // All other items sort alphabetically within their type
-                    return (a.name || a.sortData?.name || '').localeCompare(b.name || b.sortData?.name || '');
+
+            case 'spellLevel': {
+                // Spells by level, then school; everything else after
+                const levelA = a.sortData?.spellLevel ?? 99;
+                const levelB = b.sortData?.spellLevel ?? 99;
+                if (levelA !== levelB) return levelA - levelB;
+                return (a.sortData?.school || '').localeCompare(b.sortData?.school || '');
             }
-        });
+
+            case 'recent':
+                return (b.sortData?.lastUsed ?? 0) - (a.sortData?.lastUsed ?? 0);
+
+            case 'frequency': {
+                const usesA = a.sortData?.uses ?? 0;
+                const usesB = b.sortData?.uses ?? 0;
+                if (usesA !== usesB) return usesB - usesA;
+                return (b.sortData?.lastUsed ?? 0) - (a.sortData?.lastUsed ?? 0);
+            }
+
+            default:
+                return 0;
+        }
     }
-}
 
+    /**
+     * Compare two items by type order, then by D&D 5e type-specific rules
+     * @param {Array<string>} typeOrder - Item type order
+     * @param {Object} a - First item
+     * @param {Object} b - Second item
+     * @returns {number}
+     * @private
+     */
+    _compareByType(typeOrder, a, b) {
+        // First, sort by item type according to the configured order
+        const typeIndexA = typeOrder.indexOf(a.type);
+        const typeIndexB = typeOrder.indexOf(b.type);
+
+        // Handle different type priorities
+        if (typeIndexA !== typeIndexB) {
+            if (typeIndexA === -1) return 1;  // Unknown types go to the end
+            if (typeIndexB === -1) return -1;
+            return typeIndexA - typeIndexB;
+        }
+
+        const byName = () => (a.name || a.sortData?.name || '').localeCompare(b.name || b.sortData?.name || '');
+
+        // Then apply D&D 5e type-specific sorting
+        switch (a.type) {
+            case 'spell': {
+                // Sort by spell level first (cantrips = 0, then 1-9)
+                const levelA = a.sortData?.spellLevel ?? 99;
+                const levelB = b.sortData?.spellLevel ?? 99;
+                if (levelA !== levelB) {
+                    return levelA - levelB;
+                }
+                // If same level, sort alphabetically
+                return byName();
+            }
+
+            case 'feat': {
+                // Sort by feature type first
+                const typeA = a.sortData?.featureType || '';
+                const typeB = b.sortData?.featureType || '';
+                const typeCompare = typeA.localeCompare(typeB);
+                if (typeCompare !== 0) {
+                    return typeCompare;
+                }
+                // If same type, sort alphabetically
+                return byName();
+            }
+
+            default:
+                // All other items sort alphabetically within their type
+                return byName();
+        }
+    }
+}
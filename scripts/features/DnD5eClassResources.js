@@ -0,0 +1,205 @@
+/**
+ * D&D 5e Class Resources
+ * Discovers limited-use class pools (Focus/Ki, Sorcery Points, Rage, Bardic Inspiration,
+ * Channel Divinity, Superiority Dice, Wild Shape) and the legacy actor resources
+ * so the portrait resource strip can show, spend and restore them.
+ */
+
+import { refreshPortraitComponent } from '../utils/hudRefresh.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+
+/**
+ * Known class resource features, matched by item identifier or (fallback) English name
+ */
+const KNOWN_RESOURCES = [
+    { key: 'focus', identifiers: ['ki', 'focus', 'monks-focus', 'ki-points', 'focus-points'], pattern: /^(ki( points)?|focus( points)?|monk's focus)$/i },
+    { key: 'sorcery', identifiers: ['sorcery-points', 'font-of-magic'], pattern: /^(sorcery points|font of magic)$/i },
+    { key: 'rage', identifiers: ['rage'], pattern: /^rage$/i },
+    { key: 'bardic', identifiers: ['bardic-inspiration'], pattern: /^bardic inspiration$/i },
+    { key: 'channel', identifiers: ['channel-divinity'], pattern: /^channel divinity/i },
+    { key: 'superiority', identifiers: ['superiority-dice', 'combat-superiority'], pattern: /^(superiority dice|combat superiority)$/i },
+    { key: 'wildshape', identifiers: ['wild-shape'], pattern: /^wild shape$/i }
+];
+
+/**
+ * Legacy actor resource slots
+ */
+const ACTOR_RESOURCE_KEYS = ['primary', 'secondary', 'tertiary'];
+
+/**
+ * D&D 5e Class Resources Implementation
+ */
+export class DnD5eClassResources {
+    constructor() {
+        this._hooksRegistered = false;
+    }
+
+    /**
+     * Check if the resource strip is enabled in settings
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return game.settings.get(MODULE_ID, 'showResourceStrip') ?? true;
+    }
+
+    /**
+     * Discover the actor's class resource pools
+     * @param {Actor} actor - The actor
+     * @returns {Array<{id: string, label: string, img: string|null, value: number, max: number, recovery: string, source: Item|string}>}
+     */
+    getResources(actor) {
+        if (!actor) return [];
+        const resources = [];
+
+        for (const item of actor.items) {
+            const known = this._matchKnownResource(item);
+            if (!known) continue;
+
+            const max = parseInt(item.system?.uses?.max) || 0;
+            if (max <= 0) continue;
+            const spent = parseInt(item.system?.uses?.spent) || 0;
+
+            resources.push({
+                id: item.id,
+                label: item.name,
+                img: item.img,
+                value: Math.max(0, max - spent),
+                max,
+                recovery: this._getItemRecoveryLabel(item),
+                source: item
+            });
+        }
+
+        for (const key of ACTOR_RESOURCE_KEYS) {
+            const resource = actor.system?.resources?.[key];
+            const max = parseInt(resource?.max) || 0;
+            if (max <= 0) continue;
+
+            resources.push({
+                id: key,
+                label: resource.label || game.i18n.localize(`${MODULE_ID}.Resources.${key.capitalize()}`),
+                img: null,
+                value: Math.max(0, Math.min(parseInt(resource.value) || 0, max)),
+                max,
+                recovery: this._getActorResourceRecoveryLabel(resource),
+                source: key
+            });
+        }
+
+        return resources;
+    }
+
+    /**
+     * Spend one use of a resource
+     * @param {Actor} actor - The actor
+     * @param {Object} resource - Resource from getResources()
+     * @returns {Promise<void>}
+     */
+    async spend(actor, resource) {
+        if (!resource || resource.value <= 0) return;
+        await this._setValue(actor, resource, resource.value - 1);
+    }
+
+    /**
+     * Restore one use of a resource
+     * @param {Actor} actor - The actor
+     * @param {Object} resource - Resource from getResources()
+     * @returns {Promise<void>}
+     */
+    async restore(actor, resource) {
+        if (!resource || resource.value >= resource.max) return;
+        await this._setValue(actor, resource, resource.value + 1);
+    }
+
+    /**
+     * Write a new remaining value for a resource
+     * @param {Actor} actor - The actor
+     * @param {Object} resource - Resource from getResources()
+     * @param {number} value - New remaining value
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _setValue(actor, resource, value) {
+        if (typeof resource.source === 'string') {
+            await actor.update({ [`system.resources.${resource.source}.value`]: value });
+        } else {
+            await resource.source.update({ 'system.uses.spent': resource.max - value });
+        }
+    }
+
+    /**
+     * Match an item against the known class resources
+     * @param {Item} item - The item
+     * @returns {Object|null}
+     * @private
+     */
+    _matchKnownResource(item) {
+        if (item?.type !== 'feat') return null;
+        const identifier = item.system?.identifier ?? item.identifier ?? '';
+        return KNOWN_RESOURCES.find(known =>
+            known.identifiers.includes(identifier) || known.pattern.test(item.name ?? '')
+        ) ?? null;
+    }
+
+    /**
+     * Get a readable recovery period for an item's uses
+     * @param {Item} item - The item
+     * @returns {string}
+     * @private
+     */
+    _getItemRecoveryLabel(item) {
+        const periods = CONFIG.DND5E?.limitedUsePeriods ?? {};
+        const recovery = item.system?.uses?.recovery;
+        const keys = Array.isArray(recovery) ? recovery.map(r => r?.period).filter(Boolean) : [item.system?.uses?.per].filter(Boolean);
+        return keys.map(key => periods[key]?.label ?? key).join(', ');
+    }
+
+    /**
+     * Get a readable recovery period for a legacy actor resource
+     * @param {Object} resource - system.resources.primary/secondary/tertiary
+     * @returns {string}
+     * @private
+     */
+    _getActorResourceRecoveryLabel(resource) {
+        const periods = CONFIG.DND5E?.limitedUsePeriods ?? {};
+        const labels = [];
+        if (resource.sr) labels.push(periods.sr?.label ?? 'sr');
+        if (resource.lr) labels.push(periods.lr?.label ?? 'lr');
+        return labels.join(', ');
+    }
+
+    /**
+     * Re-render the resource strip for the current actor
+     * @param {Actor} actor - The actor whose resources changed
+     */
+    refresh(actor) {
+        refreshPortraitComponent(actor, 'resources');
+    }
+
+    /**
+     * Register hooks that keep the strip in sync with item uses and actor resources
+     */
+    registerHooks() {
+        if (this._hooksRegistered) return;
+
+        Hooks.on('updateItem', (item, changes) => {
+            if (changes?.system?.uses === undefined) return;
+            if (!this._matchKnownResource(item)) return;
+            this.refresh(item.parent);
+        });
+
+        const onResourceAddedOrRemoved = (item) => {
+            if (this._matchKnownResource(item)) this.refresh(item.parent);
+        };
+        Hooks.on('createItem', onResourceAddedOrRemoved);
+        Hooks.on('deleteItem', onResourceAddedOrRemoved);
+
+        Hooks.on('updateActor', (actor, changes) => {
+            if (changes?.system?.resources === undefined) return;
+            this.refresh(actor);
+        });
+
+        this._hooksRegistered = true;
+    }
+}
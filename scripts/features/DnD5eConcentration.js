@@ -0,0 +1,291 @@
+/**
+ * D&D 5e Concentration Tracking
+ * Reads the dnd5e concentration effects on the actor so the HUD can show what is being
+ * concentrated on, end it, warn before replacing it and highlight the spell cell.
+ */
+
+import { showButtonChoiceDialog } from '../../../bg3-hud-core/scripts/utils/dialogs.js';
+import { getHUDForActor, refreshPortraitComponent } from '../utils/hudRefresh.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+
+/**
+ * D&D 5e Concentration Implementation
+ */
+export class DnD5eConcentration {
+    constructor() {
+        this._hooksRegistered = false;
+    }
+
+    /**
+     * Get the concentration effects currently active on the actor
+     * @param {Actor} actor - The actor
+     * @returns {Array<ActiveEffect>}
+     */
+    getEffects(actor) {
+        if (!actor) return [];
+
+        // dnd5e v3+ exposes actor.concentration = { items: Set, effects: Set }
+        if (actor.concentration?.effects) {
+            return Array.from(actor.concentration.effects);
+        }
+
+        const statusId = CONFIG.specialStatusEffects?.CONCENTRATING ?? 'concentrating';
+        return actor.effects.filter(effect => effect.statuses?.has(statusId));
+    }
+
+    /**
+     * Get display data for everything the actor is concentrating on
+     * @param {Actor} actor - The actor
+     * @returns {Array<{effect: ActiveEffect, item: Item|null, name: string, duration: string}>}
+     */
+    getConcentration(actor) {
+        return this.getEffects(actor).map(effect => {
+            const item = this.getEffectItem(actor, effect);
+            return {
+                effect,
+                item,
+                name: item?.name ?? effect.getFlag('dnd5e', 'item.data.name') ?? effect.name,
+                duration: this.getRemainingDuration(effect)
+            };
+        });
+    }
+
+    /**
+     * Resolve the item a concentration effect was created by
+     * @param {Actor} actor - The actor
+     * @param {ActiveEffect} effect - The concentration effect
+     * @returns {Item|null}
+     */
+    getEffectItem(actor, effect) {
+        const itemId = effect.getFlag('dnd5e', 'item.id');
+        if (itemId && actor.items.has(itemId)) return actor.items.get(itemId);
+
+        if (effect.origin) {
+            try {
+                const origin = fromUuidSync(effect.origin);
+                if (origin?.documentName === 'Item') return origin;
+            } catch (error) {
+                // Origin may point to a document that no longer exists
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get a short remaining duration label for an effect
+     * @param {ActiveEffect} effect - The effect
+     * @returns {string} Label, or empty string when the effect has no duration
+     */
+    getRemainingDuration(effect) {
+        const duration = effect?.duration;
+        if (!duration) return '';
+
+        if (duration.type === 'turns' && Number.isFinite(duration.remaining)) {
+            const rounds = Math.max(0, Math.ceil(duration.remaining));
+            return game.i18n.format(`${MODULE_ID}.Concentration.Rounds`, { rounds });
+        }
+
+        if (duration.type === 'seconds' && Number.isFinite(duration.remaining)) {
+            const seconds = Math.max(0, Math.round(duration.remaining));
+            if (seconds >= 3600) {
+                return game.i18n.format(`${MODULE_ID}.Concentration.Hours`, { hours: Math.ceil(seconds / 3600) });
+            }
+            if (seconds >= 60) {
+                return game.i18n.format(`${MODULE_ID}.Concentration.Minutes`, { minutes: Math.ceil(seconds / 60) });
+            }
+            return game.i18n.format(`${MODULE_ID}.Concentration.Seconds`, { seconds });
+        }
+
+        return duration.label ?? '';
+    }
+
+    /**
+     * Check if the actor is concentrating on a given item
+     * @param {Actor} actor - The actor
+     * @param {Item} item - The item
+     * @returns {boolean}
+     */
+    isConcentratingOn(actor, item) {
+        if (!actor || !item) return false;
+        if (actor.concentration?.items) {
+            return Array.from(actor.concentration.items).some(i => i?.id === item.id);
+        }
+        return this.getConcentration(actor).some(entry => entry.item?.id === item.id);
+    }
+
+    /**
+     * Check if using an item or activity will start concentration
+     * @param {Item} item - The item
+     * @param {Object} [activity] - A specific activity, if known
+     * @returns {boolean}
+     */
+    requiresConcentration(item, activity = null) {
+        if (activity?.duration?.concentration) return true;
+        if (activity) return false;
+        if (typeof item?.requiresConcentration === 'boolean') return item.requiresConcentration;
+        return !!item?.system?.properties?.has?.('concentration');
+    }
+
+    /**
+     * End a concentration effect (or all of them)
+     * @param {Actor} actor - The actor
+     * @param {ActiveEffect} [effect] - The effect to end; all concentration if omitted
+     * @returns {Promise<void>}
+     */
+    async endConcentration(actor, effect = null) {
+        if (!actor) return;
+
+        if (typeof actor.endConcentration === 'function') {
+            await actor.endConcentration(effect ?? undefined);
+            return;
+        }
+
+        const effects = effect ? [effect] : this.getEffects(actor);
+        for (const e of effects) {
+            await e.delete();
+        }
+    }
+
+    /**
+     * Ask for a concentration saving throw after the actor took damage
+     * Respects dnd5e's "disable concentration" setting; does nothing if not concentrating.
+     * @param {Actor} actor - The damaged actor
+     * @param {number} damage - Damage taken (temp HP included)
+     * @returns {Promise<void>}
+     */
+    async promptSave(actor, damage) {
+        if (!actor || damage <= 0 || this.getEffects(actor).length === 0) return;
+        if (game.settings.get('dnd5e', 'disableConcentration')) return;
+        if (typeof actor.challengeConcentration !== 'function') return;
+
+        const dc = typeof actor.getConcentrationDC === 'function'
+            ? actor.getConcentrationDC(damage)
+            : Math.max(10, Math.floor(damage / 2));
+        await actor.challengeConcentration({ dc });
+    }
+
+    /**
+     * Get the concentration effect that using an item would replace
+     * @param {Actor} actor - The actor
+     * @param {Item} item - The item being used
+     * @param {Object} [activity] - A specific activity, if known
+     * @returns {ActiveEffect|null} The effect to end, or null if nothing is replaced
+     */
+    getEffectToReplace(actor, item, activity = null) {
+        if (!actor || !this.requiresConcentration(item, activity)) return null;
+
+        const current = this.getConcentration(actor);
+        const limit = actor.system?.attributes?.concentration?.limit ?? 1;
+        if (current.length === 0 || current.length < limit) return null;
+
+        // Recasting the same spell refreshes it; dnd5e handles that without a prompt
+        if (current.some(entry => entry.item?.id === item?.id)) return null;
+
+        return current[0].effect;
+    }
+
+    /**
+     * Ask the player to confirm before a new concentration spell replaces the current one
+     * @param {Actor} actor - The actor
+     * @param {Item} item - The item being used
+     * @param {Object} [activity] - A specific activity, if known
+     * @returns {Promise<boolean>} True if the use should continue
+     */
+    async confirmReplace(actor, item, activity = null) {
+        if (!this.getEffectToReplace(actor, item, activity)) return true;
+
+        const current = this.getConcentration(actor);
+        const names = current.map(entry => foundry.utils.escapeHTML(entry.name)).join(', ');
+        const choice = await showButtonChoiceDialog({
+            title: game.i18n.localize(`${MODULE_ID}.Concentration.ReplaceTitle`),
+            content: `<p style="text-align:center;margin-bottom:1rem">${game.i18n.format(`${MODULE_ID}.Concentration.ReplaceContent`, {
+                current: names,
+                item: foundry.utils.escapeHTML(item.name)
+            })}</p>`,
+            buttons: [
+                {
+                    action: 'continue',
+                    label: game.i18n.localize(`${MODULE_ID}.Concentration.ReplaceConfirm`),
+                    icon: 'fas fa-check'
+                },
+                {
+                    action: 'cancel',
+                    label: game.i18n.localize(`${MODULE_ID}.Concentration.ReplaceCancel`),
+                    icon: 'fas fa-times'
+                }
+            ]
+        });
+
+        return choice === 'continue';
+    }
+
+    /**
+     * Mark a cell element as the spell currently being concentrated on
+     * @param {HTMLElement} cellElement - The cell element
+     * @param {Item} item - The cell's item
+     */
+    decorateCell(cellElement, item) {
+        if (!cellElement) return;
+
+        if (item && this.isConcentratingOn(item.actor, item)) {
+            cellElement.dataset.concentrating = 'true';
+        } else {
+            delete cellElement.dataset.concentrating;
+        }
+    }
+
+    /**
+     * Refresh the portrait indicator and cell highlights for the current actor
+     * @param {Actor} actor - The actor whose concentration changed
+     */
+    refresh(actor) {
+        const hotbarApp = getHUDForActor(actor);
+        if (!hotbarApp) return;
+
+        requestAnimationFrame(async () => {
+            await refreshPortraitComponent(actor, 'concentration');
+
+            for (const containerKey of ['hotbar', 'weaponSets']) {
+                const container = hotbarApp.components[containerKey];
+                for (const grid of container?.gridContainers ?? []) {
+                    for (const cell of grid?.cells ?? []) {
+                        if (!cell?.data?.uuid || !cell?.element?.isConnected) continue;
+                        if (cell.data.type !== 'Item') continue;
+                        const item = fromUuidSync(cell.data.uuid);
+                        this.decorateCell(cell.element, item);
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Register hooks that keep the indicator in sync with concentration effects
+     */
+    registerHooks() {
+        if (this._hooksRegistered) return;
+
+        const statusId = () => CONFIG.specialStatusEffects?.CONCENTRATING ?? 'concentrating';
+        const onEffectChange = (effect) => {
+            if (!effect?.statuses?.has(statusId())) return;
+            const actor = effect.parent;
+            if (actor?.documentName === 'Actor') this.refresh(actor);
+        };
+
+        Hooks.on('createActiveEffect', onEffectChange);
+        Hooks.on('updateActiveEffect', onEffectChange);
+        Hooks.on('deleteActiveEffect', onEffectChange);
+
+        // Remaining duration ticks down with combat rounds and world time
+        const refreshCurrent = () => {
+            const actor = ui.BG3HUD_APP?.currentActor;
+            if (actor && this.getEffects(actor).length > 0) this.refresh(actor);
+        };
+        Hooks.on('updateCombat', refreshCurrent);
+        Hooks.on('updateWorldTime', refreshCurrent);
+
+        this._hooksRegistered = true;
+    }
+}
@@ -0,0 +1,193 @@
+/**
+ * D&D 5e Conditions
+ * Backs the portrait condition strip: lists the actor's active statuses and exhaustion
+ * level, opens the rule reference for a condition, removes conditions and adds them from
+ * a palette of the standard dnd5e conditions.
+ * Concentration is left to the concentration indicator.
+ */
+
+import { refreshPortraitComponent } from '../utils/hudRefresh.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+
+/**
+ * Status id used by dnd5e for exhaustion (tracked as a level, not a status)
+ */
+const EXHAUSTION = 'exhaustion';
+
+/**
+ * D&D 5e Conditions Implementation
+ */
+export class DnD5eConditions {
+    constructor() {
+        this._hooksRegistered = false;
+    }
+
+    /**
+     * Check if the condition strip is enabled in settings
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return game.settings.get(MODULE_ID, 'showConditionStrip') ?? true;
+    }
+
+    /**
+     * Check if the world uses the 2024 rules
+     * @returns {boolean}
+     * @private
+     */
+    _isModern() {
+        // rulesVersion only exists from dnd5e v4 onward
+        return game.settings.settings.has('dnd5e.rulesVersion')
+            && game.settings.get('dnd5e', 'rulesVersion') === 'modern';
+    }
+
+    /**
+     * Get display data for a status id
+     * @param {string} id - Status id
+     * @returns {{id: string, name: string, img: string, reference: string|null}}
+     */
+    getCondition(id) {
+        const condition = CONFIG.DND5E?.conditionTypes?.[id];
+        const status = CONFIG.statusEffects?.find(effect => effect.id === id);
+        return {
+            id,
+            name: game.i18n.localize(condition?.name ?? condition?.label ?? status?.name ?? id),
+            img: condition?.img ?? condition?.icon ?? status?.img ?? 'icons/svg/aura.svg',
+            reference: condition?.reference ?? status?.reference ?? null
+        };
+    }
+
+    /**
+     * Get the actor's active conditions, exhaustion and concentration excluded
+     * @param {Actor} actor - The actor
+     * @returns {Array<{id: string, name: string, img: string, reference: string|null}>}
+     */
+    getConditions(actor) {
+        if (!actor?.statuses) return [];
+
+        const concentrating = CONFIG.specialStatusEffects?.CONCENTRATING ?? 'concentrating';
+        return Array.from(actor.statuses)
+            .filter(id => id !== EXHAUSTION && id !== concentrating)
+            .map(id => this.getCondition(id))
+            .sort((a, b) => a.name.localeCompare(b.name, game.i18n.lang));
+    }
+
+    /**
+     * Get the standard dnd5e conditions for the quick-add palette
+     * Pseudo conditions (bleeding, cursed, ...) and exhaustion are left out.
+     * @returns {Array<{id: string, name: string, img: string, reference: string|null}>}
+     */
+    getPaletteConditions() {
+        return Object.entries(CONFIG.DND5E?.conditionTypes ?? {})
+            .filter(([id, condition]) => id !== EXHAUSTION && !condition.pseudo)
+            .map(([id]) => this.getCondition(id))
+            .sort((a, b) => a.name.localeCompare(b.name, game.i18n.lang));
+    }
+
+    /**
+     * Get the actor's exhaustion level
+     * @param {Actor} actor - The actor
+     * @returns {{value: number, max: number}|null} Null if the actor doesn't track exhaustion
+     */
+    getExhaustion(actor) {
+        const value = actor?.system?.attributes?.exhaustion;
+        if (typeof value !== 'number') return null;
+        return { value, max: CONFIG.DND5E?.conditionTypes?.[EXHAUSTION]?.levels ?? 6 };
+    }
+
+    /**
+     * Get the rules text for an exhaustion level (2014 or 2024 rules)
+     * @param {number} level - Exhaustion level
+     * @returns {string}
+     */
+    getExhaustionText(level) {
+        if (level <= 0) return '';
+        if (this._isModern()) {
+            return game.i18n.format(`${MODULE_ID}.Conditions.Exhaustion.Modern`, { penalty: level * 2, speed: level * 5 });
+        }
+
+        // 2014 effects are cumulative: list every level up to the current one
+        const lines = [];
+        for (let i = 1; i <= Math.min(level, 6); i++) {
+            lines.push(game.i18n.localize(`${MODULE_ID}.Conditions.Exhaustion.Legacy.${i}`));
+        }
+        return lines.join('<br>');
+    }
+
+    /**
+     * Set the actor's exhaustion level
+     * @param {Actor} actor - The actor
+     * @param {number} level - New level (clamped to 0..max)
+     * @returns {Promise<void>}
+     */
+    async setExhaustion(actor, level) {
+        const exhaustion = this.getExhaustion(actor);
+        if (!exhaustion || !actor.isOwner) return;
+        const value = Math.clamp(level, 0, exhaustion.max);
+        if (value !== exhaustion.value) await actor.update({ 'system.attributes.exhaustion': value });
+    }
+
+    /**
+     * Add or remove a condition
+     * @param {Actor} actor - The actor
+     * @param {string} id - Status id
+     * @param {boolean} active - Whether the condition should be active
+     * @returns {Promise<void>}
+     */
+    async setCondition(actor, id, active) {
+        if (!actor?.isOwner || typeof actor.toggleStatusEffect !== 'function') return;
+        if (actor.statuses?.has(id) === active) return;
+        await actor.toggleStatusEffect(id, { active });
+    }
+
+    /**
+     * Open the rule reference of a condition
+     * @param {string} id - Status id
+     * @returns {Promise<void>}
+     */
+    async showReference(id) {
+        const { name, reference } = this.getCondition(id);
+        const page = reference ? await fromUuid(reference) : null;
+        if (!page) {
+            ui.notifications.info(game.i18n.format(`${MODULE_ID}.Conditions.NoReference`, { name }));
+            return;
+        }
+
+        // Journal pages open inside their journal
+        if (page.documentName === 'JournalEntryPage') {
+            page.parent.sheet.render(true, { pageId: page.id });
+        } else {
+            page.sheet?.render(true);
+        }
+    }
+
+    /**
+     * Re-render the condition strip for the current actor
+     * @param {Actor} actor - The actor whose conditions changed
+     */
+    refresh(actor) {
+        refreshPortraitComponent(actor, 'conditions');
+    }
+
+    /**
+     * Register hooks that keep the strip in sync with status effects and exhaustion
+     */
+    registerHooks() {
+        if (this._hooksRegistered) return;
+
+        const onEffectChange = (effect) => {
+            const actor = effect?.parent;
+            if (actor?.documentName === 'Actor') this.refresh(actor);
+        };
+        Hooks.on('createActiveEffect', onEffectChange);
+        Hooks.on('updateActiveEffect', onEffectChange);
+        Hooks.on('deleteActiveEffect', onEffectChange);
+
+        Hooks.on('updateActor', (actor, changes) => {
+            if (foundry.utils.hasProperty(changes, 'system.attributes.exhaustion')) this.refresh(actor);
+        });
+
+        this._hooksRegistered = true;
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * D&D 5e Consumption Preview (hover)
+ * While a cell is hovered, highlights the spell slot filter and resource strip entries
+ * its use will spend, in red when the actor can't afford it.
+ */
+
+import { getConsumptionPreview } from '../utils/consumptionPreview.js';
+
+const PREVIEW_CLASS = 'consumption-preview';
+const UNAFFORDABLE_CLASS = 'consumption-unaffordable';
+
+/**
+ * D&D 5e Consumption Preview Implementation
+ */
+export class DnD5eConsumptionPreview {
+    /**
+     * Attach hover listeners to a cell element (once per element)
+     * The cell's current uuid is read from the dataset, so re-decorated cells stay correct.
+     * @param {HTMLElement} cellElement - The cell element
+     * @param {Object} cellData - The cell's data object
+     */
+    attachToCell(cellElement, cellData) {
+        if (!cellElement) return;
+        cellElement.dataset.consumptionUuid = cellData?.uuid ?? '';
+
+        if (cellElement.dataset.consumptionPreviewBound) return;
+        cellElement.dataset.consumptionPreviewBound = 'true';
+
+        cellElement.addEventListener('mouseenter', () => {
+            const uuid = cellElement.dataset.consumptionUuid;
+            if (!uuid) return;
+
+            const document = fromUuidSync(uuid);
+            if (!document || !cellElement.matches(':hover')) return;
+            this.show(getConsumptionPreview(document));
+        });
+
+        cellElement.addEventListener('mouseleave', () => this.clear());
+    }
+
+    /**
+     * Highlight what a use will consume
+     * @param {{entries: Array<Object>}} preview - Preview from getConsumptionPreview()
+     */
+    show(preview) {
+        this.clear();
+
+        const root = document.getElementById('bg3-hotbar-container');
+        if (!root) return;
+
+        for (const entry of preview?.entries ?? []) {
+            if (!entry.target) continue;
+
+            let elements = [];
+            if (entry.kind === 'slot') {
+                elements = root.querySelectorAll(`.spell-slot-${CSS.escape(entry.target)}`);
+            } else if (entry.kind === 'uses' || entry.kind === 'resource') {
+                elements = root.querySelectorAll(`.bg3-resource-strip [data-resource="${CSS.escape(entry.target)}"]`);
+            }
+
+            for (const element of elements) {
+                element.classList.add(PREVIEW_CLASS);
+                if (!entry.affordable) element.classList.add(UNAFFORDABLE_CLASS);
+            }
+        }
+    }
+
+    /**
+     * Remove all consumption highlights
+     */
+    clear() {
+        const root = document.getElementById('bg3-hotbar-container');
+        if (!root) return;
+
+        for (const element of root.querySelectorAll(`.${PREVIEW_CLASS}`)) {
+            element.classList.remove(PREVIEW_CLASS, UNAFFORDABLE_CLASS);
+        }
+    }
+}
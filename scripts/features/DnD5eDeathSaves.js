@@ -0,0 +1,211 @@
+/**
+ * D&D 5e Death Save Automation
+ * Optional turn-start death saves (prompt for players, auto-roll for NPCs),
+ * stable/dead status effects on the third success/failure, and clearing saves on recovery.
+ */
+
+import { showButtonChoiceDialog } from '../../../bg3-hud-core/scripts/utils/dialogs.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+
+/**
+ * D&D 5e Death Saves Implementation
+ */
+export class DnD5eDeathSaves {
+    constructor() {
+        this._hooksRegistered = false;
+    }
+
+    /**
+     * Get the configured automation mode
+     * @returns {'off'|'prompt'|'auto'}
+     */
+    getMode() {
+        return game.settings.get(MODULE_ID, 'deathSaveAutomation') ?? 'off';
+    }
+
+    /**
+     * Check if automation is turned on
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.getMode() !== 'off';
+    }
+
+    /**
+     * Check if an actor is dying (0 HP, rolling death saves, not yet stable or dead)
+     * @param {Actor} actor - The actor
+     * @returns {boolean}
+     */
+    isDying(actor) {
+        if (!actor?.system?.attributes?.death) return false;
+        if ((actor.system.attributes.hp?.value ?? 1) > 0) return false;
+        if (actor.statuses?.has('dead') || actor.statuses?.has('stable')) return false;
+
+        const death = actor.system.attributes.death;
+        return (death.success ?? 0) < 3 && (death.failure ?? 0) < 3;
+    }
+
+    /**
+     * Get the single user responsible for an actor's death saves
+     * An active player owner if there is one, otherwise the active GM
+     * @param {Actor} actor - The actor
+     * @returns {User|null}
+     */
+    getResponsibleUser(actor) {
+        if (!actor) return null;
+        const owner = game.users.find(user => user.active && !user.isGM && actor.testUserPermission(user, 'OWNER'));
+        return owner ?? game.users.activeGM ?? null;
+    }
+
+    /**
+     * Roll a death save for the actor
+     * Uses a blind roll when death save pips are hidden.
+     * @param {Actor} actor - The actor
+     * @param {Object} [options]
+     * @param {Event} [options.event] - Triggering event
+     * @param {boolean} [options.advantage]
+     * @param {boolean} [options.disadvantage]
+     * @param {boolean} [options.fastForward]
+     * @returns {Promise<Roll|null>}
+     */
+    async rollDeathSave(actor, { event = null, advantage = false, disadvantage = false, fastForward = false } = {}) {
+        if (!actor || typeof actor.rollDeathSave !== 'function') return null;
+
+        const hidePips = game.settings.get(MODULE_ID, 'hideDeathSaves');
+        const rollOptions = { event, advantage, disadvantage, fastForward };
+        const messageOptions = hidePips ? { rollMode: 'blindroll' } : {};
+
+        return await actor.rollDeathSave(rollOptions, {}, messageOptions);
+    }
+
+    /**
+     * Prompt (players) or auto-roll (NPCs / auto mode) a death save at the start of a turn
+     * @param {Combat} combat - The combat
+     * @returns {Promise<void>}
+     */
+    async onTurnStart(combat) {
+        if (!this.isEnabled() || !combat?.started) return;
+
+        const combatant = combat.combatant;
+        const actor = combatant?.actor;
+        if (!actor || combatant.isDefeated || !this.isDying(actor)) return;
+        if (this.getResponsibleUser(actor)?.isSelf !== true) return;
+
+        const autoRoll = this.getMode() === 'auto' || actor.type !== 'character';
+        if (!autoRoll) {
+            const choice = await showButtonChoiceDialog({
+                title: game.i18n.localize(`${MODULE_ID}.DeathSaves.PromptTitle`),
+                content: `<p style="text-align:center;margin-bottom:1rem">${game.i18n.format(`${MODULE_ID}.DeathSaves.PromptContent`, {
+                    name: foundry.utils.escapeHTML(actor.name)
+                })}</p>`,
+                buttons: [
+                    {
+                        action: 'roll',
+                        label: game.i18n.localize(`${MODULE_ID}.DeathSaves.Roll`),
+                        icon: 'fas fa-skull'
+                    },
+                    {
+                        action: 'skip',
+                        label: game.i18n.localize(`${MODULE_ID}.DeathSaves.Skip`),
+                        icon: 'fas fa-times'
+                    }
+                ]
+            });
+            if (choice !== 'roll') return;
+        }
+
+        try {
+            await this.rollDeathSave(actor, { fastForward: autoRoll });
+        } catch (error) {
+            console.error('[bg3-hud-dnd5e] DeathSaves | Error rolling automatic death save:', error);
+        }
+    }
+
+    /**
+     * Work out what a death save roll resolves to, before dnd5e applies its updates
+     * @param {Actor} actor - The actor
+     * @param {Roll} roll - The death save roll
+     * @param {Object} updates - Updates dnd5e is about to apply
+     * @returns {'revive'|'stable'|'dead'|null}
+     */
+    getOutcome(actor, roll, updates = {}) {
+        const flat = foundry.utils.flattenObject(updates ?? {});
+        if ((flat['system.attributes.hp.value'] ?? 0) > 0) return 'revive';
+
+        const death = actor.system.attributes.death;
+        const d20 = roll?.dice?.[0]?.total ?? roll?.d20?.total;
+        const total = roll?.total ?? 0;
+
+        if (total >= 10 && (death.success ?? 0) + 1 >= 3) return 'stable';
+        if (total < 10 && (death.failure ?? 0) + (d20 === 1 ? 2 : 1) >= 3) return 'dead';
+        return null;
+    }
+
+    /**
+     * Apply the stable / dead status effects for an outcome
+     * @param {Actor} actor - The actor
+     * @param {'revive'|'stable'|'dead'|null} outcome - Outcome from getOutcome()
+     * @returns {Promise<void>}
+     */
+    async applyOutcome(actor, outcome) {
+        if (!actor || !outcome || typeof actor.toggleStatusEffect !== 'function') return;
+
+        if (outcome === 'stable') {
+            await actor.toggleStatusEffect('stable', { active: true });
+        } else if (outcome === 'dead') {
+            if (actor.statuses?.has('stable')) await actor.toggleStatusEffect('stable', { active: false });
+            await actor.toggleStatusEffect('dead', { active: true, overlay: true });
+        } else if (outcome === 'revive' && actor.statuses?.has('stable')) {
+            await actor.toggleStatusEffect('stable', { active: false });
+        }
+    }
+
+    /**
+     * Clear death save pips (and the stable status) once the actor is back above 0 HP
+     * Only the responsible user writes, so clients don't race each other.
+     * @param {Actor} actor - The actor
+     * @returns {Promise<void>}
+     */
+    async clearOnRecovery(actor) {
+        if (!this.isEnabled() || !actor?.system?.attributes?.death) return;
+        if ((actor.system.attributes.hp?.value ?? 0) <= 0) return;
+        if (this.getResponsibleUser(actor)?.isSelf !== true) return;
+
+        const death = actor.system.attributes.death;
+        if ((death.success ?? 0) > 0 || (death.failure ?? 0) > 0) {
+            await actor.update({
+                'system.attributes.death.success': 0,
+                'system.attributes.death.failure': 0
+            });
+        }
+
+        if (actor.statuses?.has('stable') && typeof actor.toggleStatusEffect === 'function') {
+            await actor.toggleStatusEffect('stable', { active: false });
+        }
+    }
+
+    /**
+     * Register turn-start and roll hooks
+     */
+    registerHooks() {
+        if (this._hooksRegistered) return;
+
+        // Also fires when combat starts, so the first combatant is covered once
+        Hooks.on('combatTurnChange', (combat) => this.onTurnStart(combat));
+
+        // Fires on the rolling client after the roll, before dnd5e applies its updates
+        Hooks.on('dnd5e.rollDeathSaveV2', (rolls, data) => {
+            if (!this.isEnabled()) return;
+            const actor = data?.subject;
+            if (!actor) return;
+
+            const outcome = this.getOutcome(actor, rolls?.[0], data.updates);
+            this.applyOutcome(actor, outcome).catch(error => {
+                console.error('[bg3-hud-dnd5e] DeathSaves | Error applying death save outcome:', error);
+            });
+        });
+
+        this._hooksRegistered = true;
+    }
+}
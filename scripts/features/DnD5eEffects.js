@@ -0,0 +1,172 @@
+/**
+ * D&D 5e Temporary Effects
+ * Backs the portrait effects panel: lists the actor's temporary effects with their remaining
+ * duration and source item, toggles and deletes them, and flags effects that run out at the
+ * end of the current combat turn.
+ * Status-only effects and concentration have their own portrait widgets and are left out.
+ */
+
+import { refreshPortraitComponent } from '../utils/hudRefresh.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+
+/**
+ * D&D 5e Temporary Effects Implementation
+ */
+export class DnD5eEffects {
+    constructor() {
+        this._hooksRegistered = false;
+    }
+
+    /**
+     * Check if the effects panel is enabled in settings
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return game.settings.get(MODULE_ID, 'showEffectsPanel') ?? true;
+    }
+
+    /**
+     * Check if an effect belongs in the panel
+     * @param {ActiveEffect} effect - The effect
+     * @returns {boolean}
+     * @private
+     */
+    _isListed(effect) {
+        if (!effect.isTemporary) return false;
+
+        const concentrating = CONFIG.specialStatusEffects?.CONCENTRATING ?? 'concentrating';
+        if (effect.statuses?.has(concentrating)) return false;
+
+        // Conditions without a duration are shown by the condition strip
+        const hasDuration = effect.duration?.type && effect.duration.type !== 'none';
+        return hasDuration || !effect.statuses?.size;
+    }
+
+    /**
+     * Get the item an effect comes from
+     * @param {ActiveEffect} effect - The effect
+     * @returns {Item|null}
+     */
+    getSourceItem(effect) {
+        if (effect.parent?.documentName === 'Item') return effect.parent;
+        if (!effect.origin) return null;
+
+        try {
+            const origin = fromUuidSync(effect.origin);
+            return origin?.documentName === 'Item' ? origin : (origin?.item ?? null);
+        } catch (error) {
+            // Origin may point to a document that no longer exists
+            return null;
+        }
+    }
+
+    /**
+     * Check if an effect runs out at the end of the current combat turn
+     * @param {ActiveEffect} effect - The effect
+     * @returns {boolean}
+     */
+    isExpiringThisTurn(effect) {
+        const combat = game.combat;
+        const duration = effect.duration;
+        if (!combat?.started || !duration || !Number.isFinite(duration.remaining) || duration.remaining <= 0) return false;
+
+        if (duration.type === 'turns') {
+            // Remaining rounds drop by one turn's share each time the turn advances
+            const turnShare = 1 / Math.max(1, combat.turns.length);
+            return duration.remaining <= turnShare + Number.EPSILON;
+        }
+
+        if (duration.type === 'seconds') {
+            // World time only advances when the round ends, after the last combatant's turn
+            const isLastTurn = combat.turn === combat.turns.length - 1;
+            return isLastTurn && duration.remaining <= (CONFIG.time?.roundTime ?? 6);
+        }
+
+        return false;
+    }
+
+    /**
+     * Get display data for the actor's temporary effects
+     * @param {Actor} actor - The actor
+     * @returns {Array<{effect: ActiveEffect, name: string, img: string, source: string, duration: string, disabled: boolean, expiring: boolean}>}
+     */
+    getEffects(actor) {
+        if (!actor) return [];
+
+        const concentration = ui.BG3HOTBAR?.registry?.activeAdapter?.concentration;
+        const effects = typeof actor.allApplicableEffects === 'function'
+            ? Array.from(actor.allApplicableEffects())
+            : Array.from(actor.effects);
+
+        return effects.filter(effect => this._isListed(effect)).map(effect => ({
+            effect,
+            name: effect.name,
+            img: effect.img || 'icons/svg/aura.svg',
+            source: this.getSourceItem(effect)?.name ?? '',
+            duration: concentration?.getRemainingDuration(effect) ?? effect.duration?.label ?? '',
+            disabled: effect.disabled,
+            expiring: !effect.disabled && this.isExpiringThisTurn(effect)
+        }));
+    }
+
+    /**
+     * Enable or disable an effect
+     * @param {ActiveEffect} effect - The effect
+     * @returns {Promise<void>}
+     */
+    async toggle(effect) {
+        if (!effect?.isOwner) return;
+        await effect.update({ disabled: !effect.disabled });
+    }
+
+    /**
+     * Delete an effect after confirmation
+     * @param {ActiveEffect} effect - The effect
+     * @returns {Promise<void>}
+     */
+    async delete(effect) {
+        if (!effect?.isOwner) return;
+        if (typeof effect.deleteDialog === 'function') {
+            await effect.deleteDialog();
+        } else {
+            await effect.delete();
+        }
+    }
+
+    /**
+     * Re-render the effects panel for the current actor
+     * @param {Actor} actor - The actor whose effects changed
+     */
+    refresh(actor) {
+        refreshPortraitComponent(actor, 'effects');
+    }
+
+    /**
+     * Register hooks that keep the panel in sync with effects, combat turns and world time
+     */
+    registerHooks() {
+        if (this._hooksRegistered) return;
+
+        // Effects live on the actor or, when transferred, on its items
+        const onEffectChange = (effect) => {
+            const parent = effect?.parent;
+            const actor = parent?.documentName === 'Item' ? parent.actor : parent;
+            if (actor?.documentName === 'Actor') this.refresh(actor);
+        };
+        Hooks.on('createActiveEffect', onEffectChange);
+        Hooks.on('updateActiveEffect', onEffectChange);
+        Hooks.on('deleteActiveEffect', onEffectChange);
+
+        // Remaining durations count down with combat turns and world time
+        const refreshCurrent = () => {
+            const actor = ui.BG3HUD_APP?.currentActor;
+            if (actor) this.refresh(actor);
+        };
+        Hooks.on('updateCombat', refreshCurrent);
+        Hooks.on('deleteCombat', refreshCurrent);
+        Hooks.on('updateWorldTime', refreshCurrent);
+
+        this._hooksRegistered = true;
+    }
+}
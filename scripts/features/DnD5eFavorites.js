@@ -0,0 +1,181 @@
+/**
+ * D&D 5e Favorites Sync
+ * Optional two-way bridge between the HUD and the dnd5e sheet's Favorites tab:
+ * - Dropping an item, activity or effect of the HUD actor onto a hotbar cell adds it to sheet favorites.
+ * - Favoriting something on the sheet adds it to the hotbar. Items and activities become cells;
+ *   effects (toggle) and skills (roll) become script macros that are reused afterwards.
+ * Removing a favorite or a hotbar cell leaves the other side alone.
+ */
+
+import { addFavorite, getFavoriteData, getFavorites, resolveFavorite, supportsFavorites } from '../utils/favorites.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+
+/**
+ * D&D 5e Favorites Sync Implementation
+ */
+export class DnD5eFavorites {
+    constructor() {
+        this._hooksRegistered = false;
+        // Favorite ids before an update made by this client, keyed by actor uuid
+        this._previous = new Map();
+        // Favorites added from a hotbar drop, already on the hotbar
+        this._dropped = new Set();
+    }
+
+    /**
+     * Check if favorites sync is enabled for this user
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return game.settings.get(MODULE_ID, 'syncSheetFavorites');
+    }
+
+    /**
+     * Add whatever was dropped onto a hotbar cell to the HUD actor's sheet favorites
+     * @param {DragEvent} event - The drop event
+     * @returns {Promise<void>}
+     */
+    async onHotbarDrop(event) {
+        const actor = ui.BG3HUD_APP?.currentActor;
+        if (!supportsFavorites(actor) || !actor.isOwner) return;
+
+        const data = foundry.applications.ux.TextEditor.implementation.getDragEventData(event);
+        if (!data?.uuid) return;
+
+        const dropped = await fromUuid(data.uuid);
+        if (!dropped) return;
+
+        // Favorite macros made by this feature point back at their favorite
+        const macroFavorite = dropped.documentName === 'Macro' ? dropped.getFlag(MODULE_ID, 'favorite') : null;
+        if (macroFavorite) {
+            if (macroFavorite.actorUuid === actor.uuid) await this._addDropped(actor, macroFavorite.favorite);
+            return;
+        }
+
+        const owner = dropped.actor ?? dropped.parent;
+        if (owner !== actor && dropped.item?.actor !== actor) return;
+        await this._addDropped(actor, getFavoriteData(actor, dropped));
+    }
+
+    /**
+     * Add a favorite for a hotbar drop without placing it on the hotbar again
+     * @param {Actor} actor - The actor
+     * @param {{type: string, id: string}|null} favorite - The favorite
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _addDropped(actor, favorite) {
+        if (!favorite) return;
+        this._dropped.add(favorite.id);
+        try {
+            await addFavorite(actor, favorite);
+        } finally {
+            this._dropped.delete(favorite.id);
+        }
+    }
+
+    /**
+     * Get or create the macro that uses an effect or skill favorite
+     * @param {Actor} actor - The actor
+     * @param {{type: string, id: string}} favorite - Effect or skill favorite
+     * @returns {Promise<Macro|null>}
+     */
+    async getFavoriteMacro(actor, favorite) {
+        const existing = game.macros.find(macro => {
+            const flag = macro.getFlag(MODULE_ID, 'favorite');
+            return flag?.actorUuid === actor.uuid && flag.favorite?.id === favorite.id;
+        });
+        if (existing) return existing;
+
+        let data = null;
+        if (favorite.type === 'effect') {
+            const effect = resolveFavorite(actor, favorite);
+            if (!effect) return null;
+            data = {
+                name: effect.name,
+                img: effect.img,
+                command: `const effect = await fromUuid(${JSON.stringify(effect.uuid)});\nawait effect?.update({ disabled: !effect.disabled });`
+            };
+        } else if (favorite.type === 'skill') {
+            const skill = CONFIG.DND5E?.skills?.[favorite.id];
+            if (!skill) return null;
+            data = {
+                name: `${actor.name}: ${game.i18n.localize(skill.label)}`,
+                img: skill.icon ?? 'icons/svg/d20-grey.svg',
+                command: `const actor = await fromUuid(${JSON.stringify(actor.uuid)});\nawait actor?.rollSkill({ skill: ${JSON.stringify(favorite.id)} });`
+            };
+        }
+        if (!data) return null;
+
+        try {
+            return await Macro.implementation.create({
+                ...data,
+                type: 'script',
+                flags: { [MODULE_ID]: { favorite: { actorUuid: actor.uuid, favorite: { type: favorite.type, id: favorite.id } } } }
+            });
+        } catch (error) {
+            console.warn('[bg3-hud-dnd5e] Favorites | Could not create a macro for the favorite:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Put newly favorited entries on the hotbar
+     * @param {Actor} actor - The actor
+     * @param {Array<{type: string, id: string}>} favorites - Added favorites
+     * @returns {Promise<void>}
+     */
+    async onFavoritesAdded(actor, favorites) {
+        const autoPopulate = ui.BG3HOTBAR?.registry?.activeAdapter?.autoPopulate;
+        if (!autoPopulate) return;
+
+        const entries = [];
+        for (const favorite of favorites) {
+            if (favorite.type === 'item' || favorite.type === 'activity') {
+                const target = resolveFavorite(actor, favorite);
+                if (target) entries.push({ uuid: target.uuid, type: favorite.type === 'activity' ? 'Activity' : 'Item' });
+            } else if (favorite.type === 'effect' || favorite.type === 'skill') {
+                const macro = await this.getFavoriteMacro(actor, favorite);
+                if (macro) entries.push({ uuid: macro.uuid, type: 'Macro' });
+            }
+        }
+
+        await autoPopulate.addFavoritesToHotbar(actor, entries);
+    }
+
+    /**
+     * Register hooks for both directions of the sync
+     */
+    registerHooks() {
+        if (this._hooksRegistered) return;
+
+        // Hotbar -> sheet: watch drops onto hotbar cells (capture phase, before core handles them)
+        document.addEventListener('drop', (event) => {
+            if (!this.isEnabled() || !event.target?.closest?.('#bg3-hotbar-container .bg3-grid-cell')) return;
+            this.onHotbarDrop(event).catch(error => {
+                console.error('[bg3-hud-dnd5e] Favorites | Error adding dropped entry to favorites:', error);
+            });
+        }, true);
+
+        // Sheet -> hotbar: only the client that changed the favorites places them
+        Hooks.on('preUpdateActor', (actor, changes) => {
+            if (!this.isEnabled() || !foundry.utils.hasProperty(changes, 'system.favorites')) return;
+            this._previous.set(actor.uuid, new Set(getFavorites(actor).map(favorite => favorite.id)));
+        });
+
+        Hooks.on('updateActor', (actor, changes, options, userId) => {
+            const previous = this._previous.get(actor.uuid);
+            if (!previous || userId !== game.user.id) return;
+            this._previous.delete(actor.uuid);
+
+            const added = getFavorites(actor).filter(favorite => !previous.has(favorite.id) && !this._dropped.has(favorite.id));
+            if (added.length === 0) return;
+            this.onFavoritesAdded(actor, added).catch(error => {
+                console.error('[bg3-hud-dnd5e] Favorites | Error adding favorites to the hotbar:', error);
+            });
+        });
+
+        this._hooksRegistered = true;
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * D&D 5e HP History
+ * Keeps the last HP / temp HP changes of each actor, with where they came from, so the
+ * portrait can list them and owners can undo the most recent one.
+ * Stored as an actor flag: an array of entries, oldest first, capped at HISTORY_LIMIT.
+ * Each entry is written in the same update as the HP change it describes.
+ */
+
+import { refreshPortraitComponent } from '../utils/hudRefresh.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+const FLAG_KEY = 'hpHistory';
+
+/**
+ * How many changes are kept per actor
+ */
+const HISTORY_LIMIT = 20;
+
+/**
+ * Where an HP change came from
+ */
+export const HP_SOURCES = {
+    hud: { label: `${MODULE_ID}.HPHistory.Sources.hud`, icon: 'fas fa-keyboard' },
+    chat: { label: `${MODULE_ID}.HPHistory.Sources.chat`, icon: 'fas fa-comment' },
+    // Anything else: the character sheet, macros, other modules
+    system: { label: `${MODULE_ID}.HPHistory.Sources.system`, icon: 'fas fa-gear' }
+};
+
+/**
+ * D&D 5e HP History Implementation
+ */
+export class DnD5eHPHistory {
+    constructor() {
+        this._hooksRegistered = false;
+        // Source of the HP updates this client is making right now (see withSource)
+        this._pendingSource = null;
+    }
+
+    /**
+     * Check if the HP history panel is shown on the portrait
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return game.settings.get(MODULE_ID, 'showHPHistory') ?? true;
+    }
+
+    /**
+     * Get an actor's HP history, newest first
+     * @param {Actor} actor - The actor
+     * @returns {Array<{id: string, time: number, userId: string, source: string, before: {value: number, temp: number}, after: {value: number, temp: number}}>}
+     */
+    getHistory(actor) {
+        const history = actor?.getFlag(MODULE_ID, FLAG_KEY);
+        return Array.isArray(history) ? [...history].reverse() : [];
+    }
+
+    /**
+     * Check if the user can undo an actor's last HP change
+     * @param {Actor} actor - The actor
+     * @returns {boolean}
+     */
+    canUndo(actor) {
+        return !!actor?.isOwner && this.getHistory(actor).length > 0;
+    }
+
+    /**
+     * Run HP updates with a known source
+     * Updates made by this client while fn runs are recorded with that source.
+     * @param {string} source - Key of HP_SOURCES
+     * @param {Function} fn - Async function making the updates
+     * @returns {Promise<*>} Whatever fn returns
+     */
+    async withSource(source, fn) {
+        const previous = this._pendingSource;
+        this._pendingSource = source;
+        try {
+            return await fn();
+        } finally {
+            this._pendingSource = previous;
+        }
+    }
+
+    /**
+     * Work out the source of an update
+     * @param {Object} options - Update options
+     * @returns {string}
+     * @private
+     */
+    _getSource(options) {
+        if (this._pendingSource) return this._pendingSource;
+        // dnd5e passes the chat message along when damage is applied from a chat card
+        if (options?.originatingMessage) return 'chat';
+        return 'system';
+    }
+
+    /**
+     * Add a history entry to an HP update before it is sent
+     * @param {Actor} actor - The actor being updated
+     * @param {Object} changes - The pending changes (mutated)
+     * @param {Object} options - Update options
+     */
+    onPreUpdate(actor, changes, options) {
+        const hp = actor.system?.attributes?.hp;
+        if (!hp) return;
+
+        const valuePath = 'system.attributes.hp.value';
+        const tempPath = 'system.attributes.hp.temp';
+        if (!foundry.utils.hasProperty(changes, valuePath) && !foundry.utils.hasProperty(changes, tempPath)) return;
+
+        const before = { value: hp.value ?? 0, temp: hp.temp ?? 0 };
+        const after = {
+            value: foundry.utils.getProperty(changes, valuePath) ?? before.value,
+            temp: foundry.utils.getProperty(changes, tempPath) ?? before.temp
+        };
+        if (after.value === before.value && (after.temp || 0) === (before.temp || 0)) return;
+
+        const history = foundry.utils.deepClone(actor.getFlag(MODULE_ID, FLAG_KEY) ?? []);
+        if (options?.[MODULE_ID]?.hpUndo) {
+            // Undoing removes the entry instead of adding a new one
+            history.pop();
+        } else {
+            history.push({
+                id: foundry.utils.randomID(),
+                time: Date.now(),
+                userId: game.user.id,
+                source: this._getSource(options),
+                before,
+                after: { value: after.value, temp: after.temp || 0 }
+            });
+        }
+        foundry.utils.setProperty(changes, `flags.${MODULE_ID}.${FLAG_KEY}`, history.slice(-HISTORY_LIMIT));
+    }
+
+    /**
+     * Undo the last HP change of an actor
+     * @param {Actor} actor - The actor
+     * @returns {Promise<boolean>} True if a change was undone
+     */
+    async undoLast(actor) {
+        if (!this.canUndo(actor)) return false;
+
+        const [last] = this.getHistory(actor);
+        await actor.update({
+            'system.attributes.hp.value': last.before.value,
+            'system.attributes.hp.temp': last.before.temp
+        }, { [MODULE_ID]: { hpUndo: true }, dnd5e: { concentrationCheck: false } });
+        return true;
+    }
+
+    /**
+     * Re-render the HP history panel for the current actor
+     * @param {Actor} actor - The actor whose history changed
+     */
+    refresh(actor) {
+        refreshPortraitComponent(actor, 'hpHistory');
+    }
+
+    /**
+     * Register the hooks that record HP changes and keep the panel in sync
+     */
+    registerHooks() {
+        if (this._hooksRegistered) return;
+
+        // preUpdate only runs for the client making the change, so each change is recorded once
+        Hooks.on('preUpdateActor', (actor, changes, options) => this.onPreUpdate(actor, changes, options));
+
+        Hooks.on('updateActor', (actor, changes) => {
+            if (foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.${FLAG_KEY}`)) this.refresh(actor);
+        });
+
+        this._hooksRegistered = true;
+    }
+}
@@ -0,0 +1,146 @@
+/**
+ * D&D 5e Inventory Sync
+ * Opt-in per actor: keeps the hotbar in step with the inventory after token creation.
+ * New items are placed into their auto-populate grid, deleted items are cleared, and
+ * spell preparation changes add or remove spell cells.
+ * Items created for a synced actor opt out of core's own auto-add (noBG3AutoAdd) so that
+ * only this feature places them.
+ */
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+const FLAG_KEY = 'inventorySync';
+
+/**
+ * D&D 5e Inventory Sync Implementation
+ */
+export class DnD5eInventorySync {
+    constructor() {
+        this._hooksRegistered = false;
+    }
+
+    /**
+     * Check if live sync is enabled for an actor
+     * @param {Actor} actor - The actor
+     * @returns {boolean}
+     */
+    isEnabled(actor) {
+        return !!actor?.getFlag(MODULE_ID, FLAG_KEY);
+    }
+
+    /**
+     * Turn live sync on or off for an actor
+     * @param {Actor} actor - The actor
+     * @param {boolean} enabled - New state
+     * @returns {Promise<void>}
+     */
+    async setEnabled(actor, enabled) {
+        if (enabled) {
+            await actor.setFlag(MODULE_ID, FLAG_KEY, true);
+        } else {
+            await actor.unsetFlag(MODULE_ID, FLAG_KEY);
+        }
+    }
+
+    /**
+     * Get the adapter's auto-populate feature
+     * @returns {Object|null}
+     * @private
+     */
+    _getAutoPopulate() {
+        return ui.BG3HOTBAR?.registry?.activeAdapter?.autoPopulate ?? null;
+    }
+
+    /**
+     * Check if a hook event should be handled by this client
+     * Only the user who made the change writes the HUD state.
+     * @param {Item} item - The changed item
+     * @param {string} userId - User who made the change
+     * @returns {boolean}
+     * @private
+     */
+    _shouldHandle(item, userId) {
+        const actor = item?.parent;
+        return userId === game.user.id && actor?.documentName === 'Actor' && this.isEnabled(actor);
+    }
+
+    /**
+     * Show a toast listing what was added to the hotbar
+     * @param {Array<string>} names - Added item names
+     * @private
+     */
+    _notifyAdded(names) {
+        if (names.length === 0) return;
+        ui.notifications.info(game.i18n.format(`${MODULE_ID}.InventorySync.Added`, { items: names.join(', ') }));
+    }
+
+    /**
+     * Place a newly created item on the hotbar
+     * @param {Item} item - The created item
+     * @returns {Promise<void>}
+     */
+    async onItemCreated(item) {
+        const autoPopulate = this._getAutoPopulate();
+        if (!autoPopulate) return;
+
+        this._notifyAdded(await autoPopulate.addItemsToHotbar(item.parent, [item]));
+    }
+
+    /**
+     * Clear a deleted item's cells
+     * @param {Item} item - The deleted item
+     * @returns {Promise<void>}
+     */
+    async onItemDeleted(item) {
+        await this._getAutoPopulate()?.removeItemFromHotbar(item.parent, item.uuid);
+    }
+
+    /**
+     * Add or remove spell cells after a preparation change
+     * @param {Item} item - The spell whose preparation changed
+     * @returns {Promise<void>}
+     */
+    async onPreparationChanged(item) {
+        const result = await this._getAutoPopulate()?.syncSpells(item.parent, [item]);
+        this._notifyAdded(result?.added ?? []);
+    }
+
+    /**
+     * Register item hooks
+     */
+    registerHooks() {
+        if (this._hooksRegistered) return;
+
+        const handle = (promise) => promise.catch(error => {
+            console.error('[bg3-hud-dnd5e] InventorySync | Error syncing hotbar:', error);
+        });
+
+        // Take new items of synced actors over from core's auto-add; preCreate only runs for the creating user
+        Hooks.on('preCreateItem', (item, data, options, userId) => {
+            if (options.noBG3AutoAdd || !this._shouldHandle(item, userId)) return;
+            options.noBG3AutoAdd = true;
+            options[MODULE_ID] = { ...options[MODULE_ID], inventorySync: true };
+        });
+
+        Hooks.on('createItem', (item, options, userId) => {
+            // Items created by HUD features (e.g. CPR actions) opt out of auto-adding
+            const claimed = options?.[MODULE_ID]?.inventorySync;
+            if ((options?.noBG3AutoAdd && !claimed) || !this._shouldHandle(item, userId)) return;
+            handle(this.onItemCreated(item));
+        });
+
+        Hooks.on('deleteItem', (item, options, userId) => {
+            if (!this._shouldHandle(item, userId)) return;
+            handle(this.onItemDeleted(item));
+        });
+
+        Hooks.on('updateItem', (item, changes, options, userId) => {
+            if (item.type !== 'spell' || !this._shouldHandle(item, userId)) return;
+            const preparationChanged = changes?.system?.prepared !== undefined
+                || changes?.system?.preparation?.prepared !== undefined
+                || changes?.system?.method !== undefined;
+            if (preparationChanged) handle(this.onPreparationChanged(item));
+        });
+
+        this._hooksRegistered = true;
+    }
+}
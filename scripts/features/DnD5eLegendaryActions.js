@@ -0,0 +1,249 @@
+/**
+ * D&D 5e Legendary & Lair Actions
+ * Backs the portrait legendary panel: lists legendary actions with their cost, spends the
+ * pool on use, and prompts the GM for a lair action when initiative passes the lair's
+ * count (20 by default).
+ * The pool itself is reset at the start of the creature's turn by the action economy.
+ */
+
+import { showButtonChoiceDialog } from '../../../bg3-hud-core/scripts/utils/dialogs.js';
+import { captureActivityUses, getActivityList } from '../utils/activityUsage.js';
+import { refreshPortraitComponent } from '../utils/hudRefresh.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+
+/**
+ * Default initiative count lair actions happen on
+ */
+const DEFAULT_LAIR_INITIATIVE = 20;
+
+/**
+ * D&D 5e Legendary & Lair Actions Implementation
+ */
+export class DnD5eLegendaryActions {
+    constructor() {
+        this._hooksRegistered = false;
+    }
+
+    /**
+     * Check if the legendary panel is enabled in settings
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return game.settings.get(MODULE_ID, 'showLegendaryPanel') ?? true;
+    }
+
+    /**
+     * Get the adapter's action economy feature (owns the legendary pool)
+     * @returns {Object|null}
+     * @private
+     */
+    _getActionEconomy() {
+        return ui.BG3HOTBAR?.registry?.activeAdapter?.actionEconomy ?? null;
+    }
+
+    /**
+     * Get the actor's legendary action pool
+     * @param {Actor} actor - The actor
+     * @returns {{value: number, max: number}|null}
+     */
+    getPool(actor) {
+        return this._getActionEconomy()?.getLegendaryActions(actor) ?? null;
+    }
+
+    /**
+     * Set the remaining legendary actions
+     * @param {Actor} actor - The actor
+     * @param {number} value - Remaining legendary actions
+     * @returns {Promise<void>}
+     */
+    async setPool(actor, value) {
+        await this._getActionEconomy()?.setLegendaryActions(actor, value);
+    }
+
+    /**
+     * Get the actor's activities with a given activation type
+     * @param {Actor} actor - The actor
+     * @param {string} activationType - 'legendary' or 'lair'
+     * @returns {Array<{item: Item, activity: Object, cost: number}>}
+     * @private
+     */
+    _getActivities(actor, activationType) {
+        const entries = [];
+        for (const item of actor?.items ?? []) {
+            for (const activity of getActivityList(item)) {
+                if (activity?.activation?.type !== activationType) continue;
+                entries.push({
+                    item,
+                    activity,
+                    cost: parseInt(activity.activation.value) || 1
+                });
+            }
+        }
+        return entries.sort((a, b) => a.cost - b.cost || a.item.name.localeCompare(b.item.name));
+    }
+
+    /**
+     * Get the actor's legendary actions
+     * @param {Actor} actor - The actor
+     * @returns {Array<{item: Item, activity: Object, cost: number}>}
+     */
+    getLegendaryActions(actor) {
+        return this._getActivities(actor, 'legendary');
+    }
+
+    /**
+     * Get the actor's lair actions
+     * @param {Actor} actor - The actor
+     * @returns {Array<{item: Item, activity: Object, cost: number}>}
+     */
+    getLairActions(actor) {
+        return this._getActivities(actor, 'lair');
+    }
+
+    /**
+     * Check if the actor has a lair (flagged on the sheet or has lair actions)
+     * @param {Actor} actor - The actor
+     * @returns {boolean}
+     */
+    hasLair(actor) {
+        return !!actor?.system?.resources?.lair?.value || this.getLairActions(actor).length > 0;
+    }
+
+    /**
+     * Get the initiative count the actor's lair actions happen on
+     * @param {Actor} actor - The actor
+     * @returns {number}
+     */
+    getLairInitiative(actor) {
+        return parseInt(actor?.system?.resources?.lair?.initiative) || DEFAULT_LAIR_INITIATIVE;
+    }
+
+    /**
+     * Check if the panel should show for an actor
+     * @param {Actor} actor - The actor
+     * @returns {boolean}
+     */
+    shouldShow(actor) {
+        if (!this.isEnabled() || !actor) return false;
+        const resistance = ui.BG3HOTBAR?.registry?.activeAdapter?.legendaryResistance;
+        return !!this.getPool(actor) || !!resistance?.getPool(actor)
+            || this.getLegendaryActions(actor).length > 0 || this.hasLair(actor);
+    }
+
+    /**
+     * Use a legendary or lair action and spend its legendary cost
+     * @param {{activity: Object}} entry - Entry from getLegendaryActions() / getLairActions()
+     * @returns {Promise<void>}
+     */
+    async use(entry) {
+        const activity = entry?.activity;
+        if (!activity) return;
+
+        const uses = await captureActivityUses(() => activity.use(), (used) => used.uuid === activity.uuid);
+        if (activity.activation?.type !== 'legendary') return;
+
+        const economy = this._getActionEconomy();
+        for (const { results } of uses) {
+            await economy?.spendLegendaryActions(activity, results);
+        }
+    }
+
+    /**
+     * Ask the GM to pick a lair action for the actor
+     * @param {Actor} actor - The actor with the lair
+     * @returns {Promise<void>}
+     */
+    async promptLairAction(actor) {
+        const entries = this.getLairActions(actor);
+        if (entries.length === 0) return;
+
+        const choice = await showButtonChoiceDialog({
+            title: game.i18n.format(`${MODULE_ID}.Legendary.LairPromptTitle`, { name: actor.name }),
+            content: `<p style="text-align:center;margin-bottom:1rem">${game.i18n.localize(`${MODULE_ID}.Legendary.LairPromptContent`)}</p>`,
+            buttons: [
+                ...entries.map(entry => ({
+                    action: entry.activity.uuid,
+                    label: entry.item.name === entry.activity.name ? entry.item.name : `${entry.item.name}: ${entry.activity.name}`,
+                    icon: 'fas fa-dungeon'
+                })),
+                {
+                    action: 'skip',
+                    label: game.i18n.localize(`${MODULE_ID}.Legendary.Skip`),
+                    icon: 'fas fa-times'
+                }
+            ]
+        });
+
+        const entry = entries.find(e => e.activity.uuid === choice);
+        if (entry) await this.use(entry);
+    }
+
+    /**
+     * Handle a combat turn change: prompt for lair actions when initiative passed a lair's count
+     * A round where every combatant is at or above the count gets its lair action when the
+     * round wraps, before the next round's first turn.
+     * @param {Combat} combat - The combat
+     * @param {{round: number, turn: number}} prior - Previous round/turn
+     * @returns {Promise<void>}
+     */
+    async onTurnChange(combat, prior) {
+        if (!this.isEnabled() || !combat?.started) return;
+        if (!game.users.activeGM?.isSelf) return;
+
+        const current = combat.combatant;
+        const sameRound = prior && prior.round === combat.round;
+        const priorCombatant = sameRound ? combat.turns[prior.turn] : null;
+        const priorInitiative = priorCombatant?.initiative ?? Infinity;
+        const currentInitiative = current?.initiative ?? -Infinity;
+
+        // Last initiative of the round that just ended (none when combat starts)
+        const endedRound = !sameRound && prior?.round >= 1;
+        const lastInitiative = endedRound ? (combat.turns.at(-1)?.initiative ?? -Infinity) : -Infinity;
+
+        // Lair actions lose initiative ties, so they happen once the count drops below theirs
+        for (const combatant of combat.combatants) {
+            const actor = combatant.actor;
+            if (!actor || combatant.isDefeated || !this.hasLair(actor)) continue;
+
+            const lairInitiative = this.getLairInitiative(actor);
+            const crossed = priorInitiative >= lairInitiative && currentInitiative < lairInitiative;
+            // The ended round never dropped below the count: its lair action is still due
+            const missed = lastInitiative >= lairInitiative;
+            if (crossed || missed) {
+                await this.promptLairAction(actor);
+            }
+        }
+    }
+
+    /**
+     * Re-render the legendary panel for the current actor
+     * @param {Actor} actor - The actor whose legendary state changed
+     */
+    refresh(actor) {
+        refreshPortraitComponent(actor, 'legendary');
+    }
+
+    /**
+     * Register combat hooks (lair prompts) and item change refreshes
+     */
+    registerHooks() {
+        if (this._hooksRegistered) return;
+
+        // Also fires when combat starts (round 0 -> 1), so lair actions in round one are covered
+        Hooks.on('combatTurnChange', (combat, prior) => {
+            this.onTurnChange(combat, prior).catch(error => {
+                console.error('[bg3-hud-dnd5e] Legendary | Error handling turn change:', error);
+            });
+        });
+
+        const onItemChange = (item) => {
+            if (item?.parent?.documentName === 'Actor') this.refresh(item.parent);
+        };
+        Hooks.on('createItem', onItemChange);
+        Hooks.on('updateItem', onItemChange);
+        Hooks.on('deleteItem', onItemChange);
+
+        this._hooksRegistered = true;
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * D&D 5e Legendary Resistance
+ * Tracks the legendary resistance pool (system.resources.legres) for the legendary panel,
+ * spends it with a chat note, and can prompt the GM to burn one when an NPC fails a save.
+ */
+
+import { showButtonChoiceDialog } from '../../../bg3-hud-core/scripts/utils/dialogs.js';
+import { refreshPortraitComponent } from '../utils/hudRefresh.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+
+/**
+ * D&D 5e Legendary Resistance Implementation
+ */
+export class DnD5eLegendaryResistance {
+    constructor() {
+        this._hooksRegistered = false;
+    }
+
+    /**
+     * Check if the failed save prompt is enabled in settings
+     * @returns {boolean}
+     */
+    isPromptEnabled() {
+        return game.settings.get(MODULE_ID, 'promptLegendaryResistance') ?? false;
+    }
+
+    /**
+     * Get the actor's legendary resistance pool
+     * @param {Actor} actor - The actor
+     * @returns {{value: number, max: number}|null} Pool or null if the actor has none
+     */
+    getPool(actor) {
+        const legres = actor?.system?.resources?.legres;
+        const max = parseInt(legres?.max) || 0;
+        if (max <= 0) return null;
+
+        // dnd5e v4+ tracks spent and derives value; older versions store value directly
+        const value = legres.value ?? (max - (parseInt(legres.spent) || 0));
+        return { value: Math.max(0, Math.min(value, max)), max };
+    }
+
+    /**
+     * Set the remaining legendary resistances
+     * @param {Actor} actor - The actor
+     * @param {number} value - Remaining legendary resistances
+     * @returns {Promise<void>}
+     */
+    async setPool(actor, value) {
+        const pool = this.getPool(actor);
+        if (!pool) return;
+
+        const clamped = Math.max(0, Math.min(value, pool.max));
+        if (clamped === pool.value) return;
+
+        const usesSpent = foundry.utils.hasProperty(actor._source, 'system.resources.legres.spent');
+        if (usesSpent) {
+            await actor.update({ 'system.resources.legres.spent': pool.max - clamped });
+        } else {
+            await actor.update({ 'system.resources.legres.value': clamped });
+        }
+    }
+
+    /**
+     * Spend one legendary resistance and post a chat note
+     * @param {Actor} actor - The actor
+     * @param {string} [ability] - Ability of the saving throw the resistance turns into a success
+     * @returns {Promise<boolean>} True if a resistance was spent
+     */
+    async use(actor, ability = null) {
+        const pool = this.getPool(actor);
+        if (!pool || pool.value <= 0) return false;
+
+        await this.setPool(actor, pool.value - 1);
+
+        const abilityLabel = ability ? CONFIG.DND5E?.abilities?.[ability]?.label ?? ability : null;
+        const content = abilityLabel
+            ? game.i18n.format(`${MODULE_ID}.LegendaryResistance.ChatSave`, { name: actor.name, ability: abilityLabel })
+            : game.i18n.format(`${MODULE_ID}.LegendaryResistance.Chat`, { name: actor.name });
+
+        await ChatMessage.create({
+            content: `<div class="bg3-legendary-resistance-note"><i class="fas fa-shield-halved"></i> ${foundry.utils.escapeHTML(content)} (${pool.value - 1}/${pool.max})</div>`,
+            speaker: ChatMessage.getSpeaker({ actor })
+        });
+        return true;
+    }
+
+    /**
+     * Ask the GM whether to burn a legendary resistance after a failed save
+     * @param {Actor} actor - The actor that failed the save
+     * @param {string} [ability] - Saving throw ability
+     * @returns {Promise<void>}
+     */
+    async promptOnFailedSave(actor, ability = null) {
+        const pool = this.getPool(actor);
+        if (!pool || pool.value <= 0) return;
+
+        const choice = await showButtonChoiceDialog({
+            title: game.i18n.localize(`${MODULE_ID}.LegendaryResistance.PromptTitle`),
+            content: `<p style="text-align:center;margin-bottom:1rem">${game.i18n.format(`${MODULE_ID}.LegendaryResistance.PromptContent`, {
+                name: foundry.utils.escapeHTML(actor.name),
+                value: pool.value,
+                max: pool.max
+            })}</p>`,
+            buttons: [
+                {
+                    action: 'use',
+                    label: game.i18n.localize(`${MODULE_ID}.LegendaryResistance.Use`),
+                    icon: 'fas fa-shield-halved'
+                },
+                {
+                    action: 'skip',
+                    label: game.i18n.localize(`${MODULE_ID}.LegendaryResistance.Keep`),
+                    icon: 'fas fa-times'
+                }
+            ]
+        });
+
+        if (choice === 'use') await this.use(actor, ability);
+    }
+
+    /**
+     * Re-render the legendary panel for the current actor
+     * @param {Actor} actor - The actor whose pool changed
+     */
+    refresh(actor) {
+        refreshPortraitComponent(actor, 'legendary');
+    }
+
+    /**
+     * Register the failed save prompt and pool change refresh
+     */
+    registerHooks() {
+        if (this._hooksRegistered) return;
+
+        // Fires on the rolling client; only saves with a DC know whether they failed
+        Hooks.on('dnd5e.rollSavingThrow', (rolls, data) => {
+            if (!this.isPromptEnabled() || !game.user.isGM) return;
+
+            const actor = data?.subject;
+            const roll = rolls?.[0];
+            if (!actor || actor.type !== 'npc' || !roll?.isFailure) return;
+
+            this.promptOnFailedSave(actor, data.ability).catch(error => {
+                console.error('[bg3-hud-dnd5e] LegendaryResistance | Error prompting for legendary resistance:', error);
+            });
+        });
+
+        Hooks.on('updateActor', (actor, changes) => {
+            if (changes?.system?.resources?.legres === undefined) return;
+            this.refresh(actor);
+        });
+
+        this._hooksRegistered = true;
+    }
+}
@@ -0,0 +1,301 @@
+/**
+ * D&D 5e Party Rest
+ * Lets the GM rest several player characters at once: owning players are prompted to spend
+ * hit dice on a short rest, then the rest is applied to everyone with a summary chat card.
+ */
+
+import { showButtonChoiceDialog, showSelectionDialog } from '../../../bg3-hud-core/scripts/utils/dialogs.js';
+import { showShortRestPanel } from '../components/ui/RestPanel.js';
+import { getHitDiceByClass, getRecoverableItems, getRecoverableSlots } from '../utils/restPreview.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+const SOCKET_NAME = `module.${MODULE_ID}`;
+
+/**
+ * How long the GM waits for a player to finish spending hit dice
+ */
+const PROMPT_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * D&D 5e Party Rest Implementation
+ */
+export class DnD5ePartyRest {
+    constructor() {
+        this._socketRegistered = false;
+        this._pending = new Map();
+    }
+
+    /**
+     * Get the party group actor: the dnd5e primary party, else the first group actor
+     * @returns {Actor|null}
+     */
+    getPartyGroup() {
+        const primary = game.settings.settings.has('dnd5e.primaryParty')
+            ? game.settings.get('dnd5e', 'primaryParty')?.actor
+            : null;
+        return primary ?? game.actors.find(actor => actor.type === 'group') ?? null;
+    }
+
+    /**
+     * Get the members of the party group
+     * @returns {Array<Actor>}
+     */
+    getPartyMembers() {
+        const members = this.getPartyGroup()?.system?.members ?? [];
+        return Array.from(members)
+            .map(member => member?.actor ?? member)
+            .filter(actor => actor?.documentName === 'Actor');
+    }
+
+    /**
+     * Get the active player (non-GM) owning an actor
+     * @param {Actor} actor - The actor
+     * @returns {User|null}
+     */
+    getOwningPlayer(actor) {
+        return game.users.find(user => user.active && !user.isGM && actor.testUserPermission(user, 'OWNER')) ?? null;
+    }
+
+    /**
+     * Run the full party rest flow (GM only)
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (!game.user.isGM) return;
+
+        const restType = await showButtonChoiceDialog({
+            title: game.i18n.localize(`${MODULE_ID}.PartyRest.Title`),
+            content: `<p style="text-align:center;margin-bottom:1rem">${game.i18n.localize('BG3HUD.ChooseRestType')}</p>`,
+            buttons: [
+                {
+                    action: 'short',
+                    label: game.i18n.localize(`${MODULE_ID}.RestDialog.ShortRest`),
+                    icon: 'fas fa-campfire'
+                },
+                {
+                    action: 'long',
+                    label: game.i18n.localize(`${MODULE_ID}.RestDialog.LongRest`),
+                    icon: 'fas fa-tent'
+                }
+            ]
+        });
+        if (restType !== 'short' && restType !== 'long') return;
+
+        const actors = await this.selectParticipants();
+        if (!actors || actors.length === 0) return;
+
+        // Snapshot first so hit dice spent in the prompts count towards the summary
+        const before = new Map(actors.map(actor => [actor.id, this.snapshot(actor)]));
+
+        // Short rest: each owning player spends hit dice before the rest is applied
+        let confirmed = actors.map(() => true);
+        if (restType === 'short') {
+            ui.notifications.info(game.i18n.localize(`${MODULE_ID}.PartyRest.WaitingForPlayers`));
+            confirmed = await Promise.all(actors.map(actor => this.promptHitDice(actor)));
+        }
+
+        const summaries = [];
+        for (const [index, actor] of actors.entries()) {
+            // Players who cancelled their rest panel sit this rest out
+            if (!confirmed[index]) {
+                summaries.push({ name: actor.name, skipped: true });
+                continue;
+            }
+
+            try {
+                summaries.push(await this.restActor(actor, restType, before.get(actor.id)));
+            } catch (error) {
+                console.error(`[bg3-hud-dnd5e] PartyRest | Error resting ${actor.name}:`, error);
+            }
+        }
+
+        await this.postSummary(restType, summaries);
+    }
+
+    /**
+     * Let the GM pick which player characters take part
+     * Defaults to the party group members.
+     * @returns {Promise<Array<Actor>|null>} Selected actors, or null if cancelled
+     */
+    async selectParticipants() {
+        const members = new Set(this.getPartyMembers().map(actor => actor.id));
+        const candidates = game.actors.filter(actor => actor.type === 'character' && actor.hasPlayerOwner);
+
+        if (candidates.length === 0) {
+            ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.PartyRest.NoCharacters`));
+            return null;
+        }
+
+        const result = await showSelectionDialog({
+            title: game.i18n.localize(`${MODULE_ID}.PartyRest.SelectParticipants`),
+            description: game.i18n.localize(`${MODULE_ID}.PartyRest.SelectParticipantsDescription`),
+            items: candidates.map(actor => ({
+                id: actor.id,
+                label: actor.name,
+                img: actor.img,
+                selected: members.size === 0 || members.has(actor.id)
+            }))
+        });
+        if (result === null || result === undefined) return null;
+
+        const selectedIds = Array.isArray(result) ? result : result.selectedIds ?? [];
+        return selectedIds.map(id => game.actors.get(id)).filter(Boolean);
+    }
+
+    /**
+     * Ask the owning player to spend hit dice and wait until they are done
+     * Resolves immediately if no player owner is online; an unanswered prompt counts as confirmed.
+     * @param {Actor} actor - The actor
+     * @returns {Promise<boolean>} False if the player cancelled their rest
+     */
+    promptHitDice(actor) {
+        const player = this.getOwningPlayer(actor);
+        if (!player) return Promise.resolve(true);
+
+        const requestId = foundry.utils.randomID();
+        return new Promise((resolve) => {
+            const timeout = setTimeout(() => {
+                this._pending.delete(requestId);
+                resolve(true);
+            }, PROMPT_TIMEOUT_MS);
+
+            this._pending.set(requestId, (confirmed) => {
+                clearTimeout(timeout);
+                this._pending.delete(requestId);
+                resolve(confirmed);
+            });
+
+            game.socket.emit(SOCKET_NAME, {
+                type: 'partyRestPrompt',
+                requestId,
+                userId: player.id,
+                actorUuid: actor.uuid
+            });
+        });
+    }
+
+    /**
+     * Snapshot an actor's HP and remaining hit dice
+     * @param {Actor} actor - The actor
+     * @returns {{hp: number, hitDice: number}}
+     */
+    snapshot(actor) {
+        return {
+            hp: actor.system?.attributes?.hp?.value ?? 0,
+            hitDice: getHitDiceByClass(actor).reduce((sum, entry) => sum + entry.value, 0)
+        };
+    }
+
+    /**
+     * Apply the rest to an actor and describe what it recovered
+     * @param {Actor} actor - The actor
+     * @param {'short'|'long'} restType - Rest type
+     * @param {{hp: number, hitDice: number}} [before] - Snapshot from before the party rest started
+     * @returns {Promise<{name: string, hp: number, hitDice: number, recovered: Array<string>}>}
+     */
+    async restActor(actor, restType, before = this.snapshot(actor)) {
+        const recovered = [
+            ...getRecoverableSlots(actor, restType).map(slot => slot.label),
+            ...getRecoverableItems(actor, restType).map(item => item.name)
+        ];
+
+        if (restType === 'short') {
+            await actor.shortRest({ dialog: false, chat: false });
+        } else {
+            await actor.longRest({ dialog: false, chat: false, newDay: true });
+        }
+
+        const after = this.snapshot(actor);
+        return {
+            name: actor.name,
+            hp: Math.max(0, after.hp - before.hp),
+            hitDice: after.hitDice - before.hitDice,
+            recovered
+        };
+    }
+
+    /**
+     * Post a chat card summarising the party rest
+     * @param {'short'|'long'} restType - Rest type
+     * @param {Array<Object>} summaries - Results from restActor(), or {name, skipped} for actors that sat out
+     * @returns {Promise<void>}
+     */
+    async postSummary(restType, summaries) {
+        if (summaries.length === 0) return;
+
+        const escape = foundry.utils.escapeHTML;
+        const rows = summaries.map(summary => {
+            if (summary.skipped) {
+                return `<li><strong>${escape(summary.name)}</strong>: ${game.i18n.localize(`${MODULE_ID}.PartyRest.SummarySkipped`)}</li>`;
+            }
+
+            const details = [];
+            if (summary.hp > 0) {
+                details.push(game.i18n.format(`${MODULE_ID}.PartyRest.SummaryHP`, { hp: summary.hp }));
+            }
+            if (summary.hitDice !== 0) {
+                details.push(game.i18n.format(`${MODULE_ID}.PartyRest.SummaryHitDice`, {
+                    hitDice: summary.hitDice > 0 ? `+${summary.hitDice}` : summary.hitDice
+                }));
+            }
+            if (summary.recovered.length > 0) {
+                details.push(escape(summary.recovered.join(', ')));
+            }
+            if (details.length === 0) {
+                details.push(game.i18n.localize(`${MODULE_ID}.PartyRest.SummaryNothing`));
+            }
+            return `<li><strong>${escape(summary.name)}</strong>: ${details.join('; ')}</li>`;
+        });
+
+        const title = game.i18n.localize(`${MODULE_ID}.PartyRest.${restType === 'short' ? 'SummaryShort' : 'SummaryLong'}`);
+        await ChatMessage.create({
+            content: `<div class="bg3-party-rest-summary"><h3>${title}</h3><ul>${rows.join('')}</ul></div>`,
+            speaker: { alias: game.i18n.localize(`${MODULE_ID}.PartyRest.Title`) }
+        });
+    }
+
+    /**
+     * Handle party rest socket messages
+     * @param {Object} message - Socket payload
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _onSocketMessage(message) {
+        if (message?.type === 'partyRestPrompt') {
+            if (message.userId !== game.user.id) return;
+
+            // Always answer, so the GM isn't left waiting if the panel fails
+            let confirmed = false;
+            try {
+                // An actor this client can't find is never shown, so it doesn't rest
+                const actor = await fromUuid(message.actorUuid);
+                confirmed = actor ? await showShortRestPanel(actor) : false;
+            } catch (error) {
+                console.error('[bg3-hud-dnd5e] PartyRest | Error showing the rest panel:', error);
+                confirmed = false;
+            } finally {
+                game.socket.emit(SOCKET_NAME, {
+                    type: 'partyRestDone',
+                    requestId: message.requestId,
+                    userId: game.user.id,
+                    confirmed: !!confirmed
+                });
+            }
+        } else if (message?.type === 'partyRestDone') {
+            this._pending.get(message.requestId)?.(message.confirmed !== false);
+        }
+    }
+
+    /**
+     * Register the module socket listener
+     */
+    registerSocket() {
+        if (this._socketRegistered || !game.socket) return;
+        game.socket.on(SOCKET_NAME, (message) => {
+            this._onSocketMessage(message).catch(error => {
+                console.error('[bg3-hud-dnd5e] PartyRest | Error handling socket message:', error);
+            });
+        });
+        this._socketRegistered = true;
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * D&D 5e Recharge
+ * Monster features with "Recharge X–6": shows the threshold on the cell and keeps the cell
+ * depleted until recharged. The turn-start roll itself is left to the dnd5e system.
+ */
+
+/**
+ * D&D 5e Recharge Implementation
+ */
+export class DnD5eRecharge {
+    /**
+     * Get an item's recharge data
+     * @param {Item} item - The item
+     * @returns {{threshold: number, label: string, charged: boolean}|null} Null if the item doesn't recharge
+     */
+    getRecharge(item) {
+        if (!item?.system) return null;
+
+        let threshold = null;
+        let charged = true;
+
+        const recovery = item.system.uses?.recovery;
+        const entry = Array.isArray(recovery) ? recovery.find(r => r?.period === 'recharge') : null;
+        if (entry) {
+            // D&D 5e v4+: recharge is a recovery period, its formula is the threshold
+            threshold = parseInt(entry.formula) || 6;
+            const max = parseInt(item.system.uses.max) || 0;
+            const spent = parseInt(item.system.uses.spent) || 0;
+            charged = max > 0 ? spent < max : true;
+        } else if (item.system.recharge?.value) {
+            // Legacy: system.recharge.value / charged
+            threshold = parseInt(item.system.recharge.value) || 6;
+            charged = !!item.system.recharge.charged;
+        }
+
+        if (threshold === null) return null;
+        return {
+            threshold,
+            label: threshold >= 6 ? '6' : `${threshold}–6`,
+            charged
+        };
+    }
+
+    /**
+     * Roll recharge for an item (posts the dnd5e chat card)
+     * @param {Item} item - The item
+     * @returns {Promise<void>}
+     */
+    async rollRecharge(item) {
+        if (typeof item?.system?.uses?.rollRecharge === 'function') {
+            await item.system.uses.rollRecharge();
+        } else if (typeof item?.rollRecharge === 'function') {
+            await item.rollRecharge();
+        }
+    }
+
+    /**
+     * Add recharge data to a cell's data
+     * @param {Object} cellData - Cell data from transformItemToCellData()
+     * @param {Item} item - The item
+     */
+    applyToCellData(cellData, item) {
+        const recharge = this.getRecharge(item);
+        if (!recharge) return;
+
+        cellData.recharge = { threshold: recharge.threshold, label: recharge.label };
+        cellData.depleted = !recharge.charged;
+    }
+
+    /**
+     * Show the recharge threshold on a cell element
+     * @param {HTMLElement} cellElement - The cell element
+     * @param {Item} item - The item behind the cell
+     */
+    decorateCell(cellElement, item) {
+        if (!cellElement) return;
+
+        const recharge = this.getRecharge(item);
+        let badge = cellElement.querySelector(':scope > .bg3-recharge-badge');
+
+        if (!recharge) {
+            badge?.remove();
+            delete cellElement.dataset.recharge;
+            return;
+        }
+
+        if (!badge) {
+            badge = document.createElement('div');
+            badge.classList.add('bg3-recharge-badge');
+            cellElement.appendChild(badge);
+        }
+        badge.innerHTML = '<i class="fas fa-dice-d6"></i> ';
+        badge.append(recharge.label);
+        cellElement.dataset.recharge = recharge.charged ? 'charged' : 'spent';
+    }
+}
@@ -0,0 +1,212 @@
+/**
+ * D&D 5e Usage Tracker
+ * Remembers how often and how recently each item was used from the HUD, per actor.
+ * Stored as an actor flag keyed by item id: { [itemId]: { count, lastUsed } }.
+ * Activity uses count towards their parent item.
+ * Drives the recent / frequency sort strategies, "most used" cell badges and the
+ * suggested hotbar layout.
+ */
+
+import { getHUDForActor } from '../utils/hudRefresh.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+const FLAG_KEY = 'usage';
+
+/**
+ * How many of an actor's items can carry the "most used" badge
+ */
+const MOST_USED_LIMIT = 5;
+
+/**
+ * Uses needed before an item counts as "most used"
+ */
+const MOST_USED_MIN_USES = 3;
+
+/**
+ * D&D 5e Usage Tracker Implementation
+ */
+export class DnD5eUsageTracker {
+    constructor() {
+        this._hooksRegistered = false;
+    }
+
+    /**
+     * Check if "most used" badges are shown on cells
+     * @returns {boolean}
+     */
+    isBadgeEnabled() {
+        return game.settings.get(MODULE_ID, 'showMostUsedBadges');
+    }
+
+    /**
+     * Get all usage stats for an actor
+     * @param {Actor} actor - The actor
+     * @returns {Object<string, {count: number, lastUsed: number}>}
+     */
+    getAllStats(actor) {
+        return actor?.getFlag(MODULE_ID, FLAG_KEY) ?? {};
+    }
+
+    /**
+     * Get usage stats for an item or activity
+     * @param {Item|Object} document - Item or activity
+     * @returns {{count: number, lastUsed: number}}
+     */
+    getStats(document) {
+        const item = document?.item ?? document;
+        const stats = this.getAllStats(item?.actor)[item?.id];
+        return { count: stats?.count ?? 0, lastUsed: stats?.lastUsed ?? 0 };
+    }
+
+    /**
+     * Get an actor's items ordered by use count, then by last use
+     * Items that were never used are left out.
+     * @param {Actor} actor - The actor
+     * @param {number} [limit] - Maximum number of items
+     * @returns {Array<{item: Item, count: number, lastUsed: number}>}
+     */
+    getTopItems(actor, limit = Infinity) {
+        return Object.entries(this.getAllStats(actor))
+            .map(([itemId, stats]) => ({ item: actor.items.get(itemId), count: stats?.count ?? 0, lastUsed: stats?.lastUsed ?? 0 }))
+            .filter(entry => entry.item && entry.count > 0)
+            .sort((a, b) => (b.count - a.count) || (b.lastUsed - a.lastUsed))
+            .slice(0, limit);
+    }
+
+    /**
+     * Check if an item is one of its actor's most used items
+     * @param {Item|Object} document - Item or activity
+     * @returns {boolean}
+     */
+    isMostUsed(document) {
+        const item = document?.item ?? document;
+        if (!item?.actor) return false;
+        return this.getTopItems(item.actor, MOST_USED_LIMIT)
+            .some(entry => entry.item.id === item.id && entry.count >= MOST_USED_MIN_USES);
+    }
+
+    /**
+     * Show the "most used" badge on a cell element
+     * @param {HTMLElement} cellElement - The cell element
+     * @param {Item|Object} source - Item or activity behind the cell
+     */
+    decorateCell(cellElement, source) {
+        if (!cellElement) return;
+
+        const mostUsed = this.isBadgeEnabled() && this.isMostUsed(source);
+        let badge = cellElement.querySelector(':scope > .bg3-most-used-badge');
+
+        if (!mostUsed) {
+            badge?.remove();
+            return;
+        }
+
+        if (!badge) {
+            badge = document.createElement('div');
+            badge.classList.add('bg3-most-used-badge');
+            badge.innerHTML = '<i class="fas fa-fire"></i>';
+            cellElement.appendChild(badge);
+        }
+        const { count } = this.getStats(source);
+        badge.dataset.tooltip = game.i18n.format(`${MODULE_ID}.Usage.MostUsed`, { count });
+    }
+
+    /**
+     * Refresh "most used" badges on the HUD's cells for the current actor
+     * @param {Actor} actor - The actor whose usage changed
+     */
+    refresh(actor) {
+        const hotbarApp = getHUDForActor(actor);
+        if (!hotbarApp) return;
+
+        requestAnimationFrame(() => {
+            for (const containerKey of ['hotbar', 'weaponSets', 'quickAccess']) {
+                const container = hotbarApp.components[containerKey];
+                for (const grid of container?.gridContainers ?? []) {
+                    for (const cell of grid?.cells ?? []) {
+                        if (!cell?.data?.uuid || !cell?.element?.isConnected) continue;
+                        if (cell.data.type !== 'Item' && cell.data.type !== 'Activity') continue;
+                        this.decorateCell(cell.element, fromUuidSync(cell.data.uuid));
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Suggest a hotbar layout: the most used items on the first row of the first grid
+     * Shows the suggestion and applies it if the player agrees.
+     * @param {Actor} actor - The actor
+     * @returns {Promise<boolean>} True if the layout was applied
+     */
+    async suggestLayout(actor) {
+        const autoPopulate = ui.BG3HOTBAR?.registry?.activeAdapter?.autoPopulate;
+        if (!actor || !autoPopulate) return false;
+
+        const columns = ui.BG3HUD_APP?.components?.hotbar?.gridContainers?.[0]?.cols ?? MOST_USED_LIMIT;
+        const top = this.getTopItems(actor, columns);
+        if (top.length === 0) {
+            ui.notifications.info(game.i18n.localize(`${MODULE_ID}.Usage.NoUsage`));
+            return false;
+        }
+
+        const { showButtonChoiceDialog } = await import('/modules/bg3-hud-core/scripts/utils/dialogs.js');
+        const list = top.map(entry => `<li>${foundry.utils.escapeHTML(entry.item.name)} (${entry.count})</li>`).join('');
+        const choice = await showButtonChoiceDialog({
+            title: game.i18n.localize(`${MODULE_ID}.Usage.SuggestTitle`),
+            content: `<p>${game.i18n.localize(`${MODULE_ID}.Usage.SuggestDescription`)}</p><ol>${list}</ol>`,
+            buttons: [
+                { action: 'apply', label: game.i18n.localize(`${MODULE_ID}.Usage.Apply`), icon: 'fas fa-check' },
+                { action: 'cancel', label: game.i18n.localize(`${MODULE_ID}.Usage.Cancel`), icon: 'fas fa-times' }
+            ]
+        });
+        if (choice !== 'apply') return false;
+
+        await autoPopulate.placeOnFirstRow(actor, top.map(entry => entry.item.uuid));
+        return true;
+    }
+
+    /**
+     * Register hooks that keep the badges in sync with recorded uses
+     */
+    registerHooks() {
+        if (this._hooksRegistered) return;
+
+        Hooks.on('updateActor', (actor, changes) => {
+            if (foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.${FLAG_KEY}`)) this.refresh(actor);
+        });
+
+        this._hooksRegistered = true;
+    }
+
+    /**
+     * Record one use of each item behind the used activities
+     * @param {Array<{activity: Object}>} uses - Activity uses from captureActivityUses()
+     * @returns {Promise<void>}
+     */
+    async recordActivityUses(uses) {
+        const items = new Set(uses.map(use => use.activity?.item).filter(Boolean));
+        for (const item of items) {
+            await this.record(item);
+        }
+    }
+
+    /**
+     * Record one use of an item
+     * @param {Item} item - The used item
+     * @returns {Promise<void>}
+     */
+    async record(item) {
+        const actor = item?.actor;
+        if (!actor?.isOwner || !actor.items.has(item.id)) return;
+
+        const { count } = this.getStats(item);
+        try {
+            await actor.setFlag(MODULE_ID, FLAG_KEY, {
+                [item.id]: { count: count + 1, lastUsed: Date.now() }
+            });
+        } catch (error) {
+            console.warn('[bg3-hud-dnd5e] UsageTracker | Failed to record usage:', error);
+        }
+    }
+}
@@ -15,10 +15,31 @@ import { isContainer, getContainerContents, saveContainerContents } from './comp
 import { DnD5eAutoSort } from './features/DnD5eAutoSort.js';
 import { DnD5eAutoPopulate } from './features/DnD5eAutoPopulate.js';
 import { DnD5eCPRAutoPopulate } from './features/DnD5eCPRAutoPopulate.js';
+import { DnD5eAutoPopulatePresets } from './features/DnD5eAutoPopulatePresets.js';
+import { DnD5eUsageTracker } from './features/DnD5eUsageTracker.js';
+import { DnD5eFavorites } from './features/DnD5eFavorites.js';
+import { DnD5eHPHistory } from './features/DnD5eHPHistory.js';
+import { DnD5eConditions } from './features/DnD5eConditions.js';
+import { DnD5eEffects } from './features/DnD5eEffects.js';
+import { DnD5eActionEconomy } from './features/DnD5eActionEconomy.js';
+import { DnD5eConcentration } from './features/DnD5eConcentration.js';
+import { DnD5eDeathSaves } from './features/DnD5eDeathSaves.js';
+import { DnD5ePartyRest } from './features/DnD5ePartyRest.js';
+import { DnD5eClassResources } from './features/DnD5eClassResources.js';
+import { DnD5eConsumptionPreview } from './features/DnD5eConsumptionPreview.js';
+import { DnD5eAmmunition } from './features/DnD5eAmmunition.js';
+import { DnD5eRecharge } from './features/DnD5eRecharge.js';
+import { DnD5eLegendaryActions } from './features/DnD5eLegendaryActions.js';
+import { DnD5eLegendaryResistance } from './features/DnD5eLegendaryResistance.js';
+import { DnD5eInventorySync } from './features/DnD5eInventorySync.js';
 import { registerSettings } from './utils/settings.js';
 import { renderDnD5eTooltip } from './utils/tooltipRenderer.js';
 import { DnD5eMenuBuilder } from './components/menus/DnD5eMenuBuilder.js';
+import { buildCellMenuItems } from './components/menus/DnD5eCellMenu.js';
 import { DnD5eTargetingRules } from './utils/DnD5eTargetingRules.js';
+import { getCastingSlots, hasCastingSlot } from './utils/spellSlots.js';
+import { showSlotPicker } from './components/ui/SlotPicker.js';
+import { captureActivityUses, isCellActivity } from './utils/activityUsage.js';
 
 
 const MODULE_ID = 'bg3-hud-dnd5e';
@@ -144,6 +165,47 @@ Hooks.on('bg3HudReady', async (BG3HUD_API) => {
     // Register advantage/disadvantage hooks once
     registerAdvantageHooks();
 
+    // Reset action economy at the start of each combatant's turn
+    adapter.actionEconomy.registerHooks();
+
+    // Keep the concentration indicator in sync with concentration effects
+    adapter.concentration.registerHooks();
+
+    // Turn-start death saves and stable/dead outcomes (opt-in)
+    adapter.deathSaves.registerHooks();
+
+    // Party rest prompts are relayed to players over the module socket
+    adapter.partyRest.registerSocket();
+
+    // Keep the portrait resource strip in sync with class resource uses
+    adapter.classResources.registerHooks();
+
+    // Refresh ranged weapon cells when their ammunition changes
+    adapter.ammunition.registerHooks();
+
+    // Legendary pool resets and lair action prompts for the legendary panel
+    adapter.legendary.registerHooks();
+
+    // Legendary resistance pool refresh and the optional failed save prompt
+    adapter.legendaryResistance.registerHooks();
+
+    // Opt-in per actor: keep the hotbar in step with inventory and spell preparation changes
+    adapter.inventorySync.registerHooks();
+
+    // Refresh "most used" badges when usage stats change
+    adapter.usageTracker.registerHooks();
+
+    // Optional two-way sync between hotbar pins and sheet favorites
+    adapter.favorites.registerHooks();
+
+    // Record HP changes with their source for the portrait history panel and undo
+    adapter.hpHistory.registerHooks();
+
+    // Keep the portrait condition strip in sync with statuses and exhaustion
+    adapter.conditions.registerHooks();
+
+    // Keep the portrait effects panel in sync with effects and their remaining duration
+    adapter.effects.registerHooks();
 
 });
 
@@ -159,16 +221,39 @@ class DnD5eAdapter {
 
         // Initialize D&D 5e-specific features
         this.autoSort = new DnD5eAutoSort();
+        this.usageTracker = new DnD5eUsageTracker();
         this.autoPopulate = new DnD5eAutoPopulate();
+        this.autoPopulatePresets = new DnD5eAutoPopulatePresets();
         this.cprAutoPopulate = new DnD5eCPRAutoPopulate();
+        this.actionEconomy = new DnD5eActionEconomy();
+        this.concentration = new DnD5eConcentration();
+        this.deathSaves = new DnD5eDeathSaves();
+        this.partyRest = new DnD5ePartyRest();
+        this.classResources = new DnD5eClassResources();
+        this.consumptionPreview = new DnD5eConsumptionPreview();
+        this.ammunition = new DnD5eAmmunition();
+        this.recharge = new DnD5eRecharge();
+        this.legendary = new DnD5eLegendaryActions();
+        this.legendaryResistance = new DnD5eLegendaryResistance();
+        this.inventorySync = new DnD5eInventorySync();
+        this.favorites = new DnD5eFavorites();
+        this.hpHistory = new DnD5eHPHistory();
+        this.conditions = new DnD5eConditions();
+        this.effects = new DnD5eEffects();
 
         // Targeting rules for target selector integration
         this.targetingRules = DnD5eTargetingRules;
 
+        // Link autoSort to usage stats for the recent / frequency strategies
+        this.autoSort.setUsageTracker(this.usageTracker);
+
         // Link autoPopulate to autoSort for consistent sorting
         this.autoPopulate.setAutoSort(this.autoSort);
 
-        console.info('[bg3-hud-dnd5e] DnD5eAdapter created with autoSort, autoPopulate, cprAutoPopulate, and targetingRules');
+        // Link autoPopulate to presets for per-actor grid configurations
+        this.autoPopulate.setPresets(this.autoPopulatePresets);
+
+        console.info('[bg3-hud-dnd5e] DnD5eAdapter created with autoSort, usageTracker, autoPopulate, autoPopulatePresets, cprAutoPopulate, actionEconomy, concentration, deathSaves, partyRest, classResources, consumptionPreview, ammunition, recharge, legendary, legendaryResistance, inventorySync, favorites, hpHistory, conditions, effects, and targetingRules');
     }
 
     /**
@@ -209,6 +294,12 @@ class DnD5eAdapter {
             }
         }
 
+        if (Object.prototype.hasOwnProperty.call(adapterFlags, 'actionEconomy') ||
+            Object.prototype.hasOwnProperty.call(adapterFlags, '-=actionEconomy')) {
+            this.actionEconomy.refresh(hotbarApp.currentActor);
+            handled = true;
+        }
+
         return handled;
     }
 
@@ -252,16 +343,31 @@ class DnD5eAdapter {
 
         console.debug('[bg3-hud-dnd5e] Cell clicked:', data);
 
-        // Handle Activity type
-        if (data.type === 'Activity') {
-            await this._useActivity(data.uuid, event);
-            return;
-        }
+        // Record which activities actually ran so the action economy can be spent
+        const uses = await captureActivityUses(async () => {
+            // Handle Activity type
+            if (data.type === 'Activity') {
+                await this._useActivity(data.uuid, event);
+                return;
+            }
 
-        // Handle Item type - Macros are handled by core
-        if (data.type === 'Item') {
-            await this._useItem(data.uuid, event);
-        }
+            // Handle Item type - Macros are handled by core
+            if (data.type === 'Item') {
+                await this._useItem(data.uuid, event, cell?.element);
+            }
+        }, (activity) => isCellActivity(activity, data));
+
+        await this.recordActivityUses(uses);
+    }
+
+    /**
+     * Spend the action economy and count usage for activities used from the HUD
+     * @param {Array<{activity: Object, results: Object}>} uses - Uses from captureActivityUses()
+     * @returns {Promise<void>}
+     */
+    async recordActivityUses(uses) {
+        await this.actionEconomy.recordActivityUses(uses);
+        await this.usageTracker.recordActivityUses(uses);
     }
 
     /**
@@ -273,21 +379,19 @@ class DnD5eAdapter {
         const data = cell.data;
         if (!data) return [];
 
-        const items = [];
-
-        // D&D 5e doesn't add extra context menu items
-        // The core context menu already provides "Edit Item" which opens the sheet
-
-        return items;
+        // Core already provides "Edit Item" which opens the sheet;
+        // these are the D&D 5e specific entries (upcast, activities, equip, prepare, recharge...)
+        return await buildCellMenuItems(cell, this);
     }
 
     /**
      * Use a D&D 5e item
      * @param {string} uuid - Item UUID
      * @param {MouseEvent} event - The triggering event
+     * @param {HTMLElement} [anchor] - Cell element used to position the spell slot picker
      * @private
      */
-    async _useItem(uuid, event) {
+    async _useItem(uuid, event, anchor = null) {
         const resolved = await fromUuid(uuid);
         if (!resolved) {
             ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.Notifications.ItemNotFound`));
@@ -329,6 +433,9 @@ class DnD5eAdapter {
             // Let Foundry assign the id
             delete data._id;
 
+            // Remember where the copy came from so its uses are matched to the cell
+            data._stats[resolved.pack ? 'compendiumSource' : 'duplicateSource'] = resolved.uuid;
+
             // Create a real embedded document - midi-qol requires the item to be in the collection
             // We'll delete it after use to avoid cluttering the actor's inventory
             const created = await actor.createEmbeddedDocuments('Item', [data]);
@@ -343,6 +450,40 @@ class DnD5eAdapter {
 
         console.debug('[bg3-hud-dnd5e] Using item:', itemToUse.name, isEmbedded ? '(embedded)' : '(from compendium)');
 
+        // Warn before a new concentration spell replaces the current one
+        if (!await this.concentration.confirmReplace(actor, itemToUse)) {
+            console.debug('[bg3-hud-dnd5e] Concentration replacement cancelled');
+            // Clean up temp item if we created one
+            if (createdItemId && actor.items.has(createdItemId)) {
+                await actor.deleteEmbeddedDocuments('Item', [createdItemId]);
+            }
+            return;
+        }
+
+        const usageConfig = { event };
+        const dialogConfig = {};
+
+        // Leveled spells: pick the slot to spend directly from the cell instead of the usage dialog
+        const slotKey = await this._pickSpellSlot(itemToUse, actor, anchor ?? event?.currentTarget);
+        if (slotKey === null) {
+            console.debug('[bg3-hud-dnd5e] Spell slot selection cancelled');
+            // Clean up temp item if we created one
+            if (createdItemId && actor.items.has(createdItemId)) {
+                await actor.deleteEmbeddedDocuments('Item', [createdItemId]);
+            }
+            return;
+        }
+        if (slotKey) {
+            usageConfig.spell = { slot: slotKey };
+            dialogConfig.configure = false;
+
+            // Without the usage dialog, tell dnd5e which concentration the player agreed to end
+            const replacedEffect = this.concentration.getEffectToReplace(actor, itemToUse);
+            if (replacedEffect) {
+                usageConfig.concentration = { begin: true, end: replacedEffect.id };
+            }
+        }
+
         // Check if item needs targeting and target selector is enabled
         const targetSelectorEnabled = game.settings.get('bg3-hud-core', 'enableTargetSelector');
         const needsTargeting = targetSelectorEnabled && this.targetingRules?.needsTargeting({ item: itemToUse });
@@ -386,7 +527,7 @@ class DnD5eAdapter {
         // Use the item (D&D 5e v4+ uses .use() method)
         if (typeof itemToUse.use === 'function') {
             try {
-                await itemToUse.use({ event });
+                await itemToUse.use(usageConfig, dialogConfig);
             } finally {
                 // Clean up: delete the temporarily created item from the actor's inventory
                 // This runs even if item.use() throws, ensuring we don't leave orphan items
@@ -403,6 +544,34 @@ class DnD5eAdapter {
         }
     }
 
+    /**
+     * Let the player choose which spell slot to spend on a leveled spell
+     * Only applies to slot-based spells; uses the same availability rules as cell depletion.
+     * @param {Item} item - The item being used
+     * @param {Actor} actor - The casting actor
+     * @param {HTMLElement} [anchor] - Element to position the picker next to
+     * @returns {Promise<string|null|undefined>} Slot key, null if cancelled, undefined if not applicable
+     * @private
+     */
+    async _pickSpellSlot(item, actor, anchor) {
+        if (item?.type !== 'spell') return undefined;
+        if (!game.settings.get(MODULE_ID, 'enableSlotPicker')) return undefined;
+
+        const level = item.system?.level ?? 0;
+        // D&D 5e v5.1+: use .method instead of deprecated .preparation.mode
+        const method = item.system?.method ?? item.system?.preparation?.mode ?? 'spell';
+        if (level === 0 || method !== 'spell') return undefined;
+
+        // No slots left: defer to dnd5e, which reports the missing slot itself
+        const slots = getCastingSlots(actor, level);
+        if (slots.length === 0) return undefined;
+
+        // Only one way to cast it - no need to ask
+        if (slots.length === 1) return slots[0].key;
+
+        return await showSlotPicker({ anchor, slots, title: item.name });
+    }
+
     /**
      * Use a D&D 5e activity
      * @param {string} uuid - Activity UUID
@@ -418,6 +587,12 @@ class DnD5eAdapter {
 
         console.debug('[bg3-hud-dnd5e] Using activity:', activity.name);
 
+        // Warn before a new concentration spell replaces the current one
+        if (!await this.concentration.confirmReplace(activity.actor, activity.item, activity)) {
+            console.debug('[bg3-hud-dnd5e] Concentration replacement cancelled');
+            return;
+        }
+
         // Activities have their own use() method
         if (typeof activity.use === 'function') {
             await activity.use({ event });
@@ -547,13 +722,18 @@ class DnD5eAdapter {
 
     /**
      * Called by core AFTER all auto-populate grids are completed
-     * Used for CPR auto-populate to avoid race conditions with state saving
+     * Used for preset grids and CPR auto-populate to avoid race conditions with state saving
      * @param {Actor} actor - The actor for the newly created token
      * @param {PersistenceManager} persistenceManager - The same persistence manager used for grid population
      */
     async onTokenCreationComplete(actor, persistenceManager) {
         if (!actor) return;
 
+        // Replace the world configuration's grids with the actor's preset, if one applies
+        if (this.autoPopulatePresets) {
+            await this.autoPopulatePresets.onTokenCreation(actor, persistenceManager);
+        }
+
         // Use adapter's cprAutoPopulate with the provided persistence manager
         if (this.cprAutoPopulate) {
             await this.cprAutoPopulate.onTokenCreation(actor, persistenceManager);
@@ -643,6 +823,9 @@ class DnD5eAdapter {
                 if (activity?.activation?.type) {
                     actionTypes.add(activity.activation.type);
                 }
+                if (activity?.activation?.type === 'legendary') {
+                    cellElement.dataset.legendaryCost = parseInt(activity.activation.value) || 1;
+                }
             }
 
             // Store all action types as comma-separated list
@@ -658,6 +841,21 @@ class DnD5eAdapter {
         if (!cellElement.dataset.actionType && item.system?.activation?.type) {
             cellElement.dataset.actionType = item.system.activation.type;
         }
+
+        // Grey out cells whose action type is already spent this turn
+        this.actionEconomy.decorateCell(cellElement, item.actor);
+
+        // Highlight the spell currently being concentrated on
+        this.concentration.decorateCell(cellElement, item);
+
+        // Show the recharge threshold for "Recharge X–6" features
+        this.recharge.decorateCell(cellElement, item);
+
+        // Flag the actor's most used items
+        this.usageTracker.decorateCell(cellElement, item);
+
+        // Preview slot / resource consumption on hover
+        this.consumptionPreview.attachToCell(cellElement, cellData);
     }
 
     /**
@@ -732,38 +930,21 @@ class DnD5eAdapter {
                 }
             } else {
                 // Regular learned spells (method === 'spell') - check spell slots
+                // (any slot at this level or higher, pact and apothecary slots)
                 const actor = item.actor;
-                if (actor) {
-                    const spells = actor.system?.spells;
-                    if (spells) {
-                        let canCast = false;
-
-                        // Check if any slot at this level or higher has remaining uses
-                        for (let l = level; l <= 9; l++) {
-                            const slot = spells[`spell${l}`];
-                            if (slot?.value > 0) {
-                                canCast = true;
-                                break;
-                            }
-                        }
-
-                        // Also check pact slots - they can cast spells up to their level
-                        if (!canCast && spells.pact?.value > 0 && spells.pact?.level >= level) {
-                            canCast = true;
-                        }
-
-                        // Also check apothecary slots (SCGD compatibility)
-                        if (!canCast && spells.apothecary?.value > 0 && (spells.apothecary?.level ?? 1) >= level) {
-                            canCast = true;
-                        }
-
-                        // Set depleted flag for GridCell to consume
-                        cellData.depleted = !canCast;
-                    }
+                if (actor?.system?.spells) {
+                    // Set depleted flag for GridCell to consume
+                    cellData.depleted = !hasCastingSlot(actor, level);
                 }
             }
         }
 
+        // Ranged weapons show their linked ammunition count instead of their own quantity
+        this.ammunition.applyToCellData(cellData, item);
+
+        // Recharge features stay depleted until their recharge roll succeeds
+        this.recharge.applyToCellData(cellData, item);
+
         return cellData;
     }
 
@@ -853,6 +1034,12 @@ class DnD5eAdapter {
      * @param {Object} changes - The changes object from updateActor hook
      */
     updateCellDepletionStates(actor, changes) {
+        // Legendary action pool changes affect which legendary cells are usable
+        if (changes?.system?.resources?.legact !== undefined) {
+            this.actionEconomy.refresh(actor);
+            this.legendary.refresh(actor);
+        }
+
         // Only process if spell slots actually changed
         if (changes?.system?.spells === undefined) return;
 
@@ -899,23 +1086,8 @@ class DnD5eAdapter {
                     continue;
                 }
 
-                // Regular learned spells - check spell slots
-                let canCast = false;
-                for (let l = level; l <= 9; l++) {
-                    const slot = spells[`spell${l}`];
-                    if (slot?.value > 0) {
-                        canCast = true;
-                        break;
-                    }
-                }
-                // Also check pact slots
-                if (!canCast && spells.pact?.value > 0 && spells.pact?.level >= level) {
-                    canCast = true;
-                }
-                // Also check apothecary slots (SCGD compatibility)
-                if (!canCast && spells.apothecary?.value > 0 && (spells.apothecary?.level ?? 1) >= level) {
-                    canCast = true;
-                }
+                // Regular learned spells - check spell, pact and apothecary slots
+                const canCast = hasCastingSlot(actor, level);
 
                 // Update data for persistence
                 cell.data.depleted = !canCast;
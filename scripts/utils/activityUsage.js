@@ -0,0 +1,63 @@
+/**
+ * D&D 5e Activity Usage Helpers
+ * Observe which activities actually ran while the HUD uses an item or activity
+ */
+
+/**
+ * Run a callback and collect the activities used while it runs
+ * Relies on dnd5e's `dnd5e.postUseActivity` hook, so multi-activity items report
+ * the activity the player actually picked and cancelled uses report nothing.
+ * Other uses can happen during the await (another user, a module reacting to the use),
+ * so callers pass a filter matching the item or activity they triggered.
+ * @param {Function} callback - Async function that triggers the use
+ * @param {Function} filter - Receives each used activity, returns true to keep it
+ * @returns {Promise<Array<{activity: Object, usageConfig: Object, results: Object}>>}
+ */
+export async function captureActivityUses(callback, filter) {
+    const uses = [];
+    const hookId = Hooks.on('dnd5e.postUseActivity', (activity, usageConfig, results) => {
+        if (filter(activity)) uses.push({ activity, usageConfig, results });
+    });
+
+    try {
+        await callback();
+    } finally {
+        Hooks.off('dnd5e.postUseActivity', hookId);
+    }
+
+    return uses;
+}
+
+/**
+ * Check if a used activity belongs to a hotbar cell
+ * Items used from a compendium or the sidebar run as a temporary copy on the actor,
+ * which is matched through the source recorded on its stats.
+ * @param {Object} activity - The used activity
+ * @param {{type: string, uuid: string}} cellData - The cell's data
+ * @returns {boolean}
+ */
+export function isCellActivity(activity, cellData) {
+    if (cellData?.type === 'Activity') return activity?.uuid === cellData.uuid;
+
+    const item = activity?.item;
+    if (!item || !cellData?.uuid) return false;
+    return item.uuid === cellData.uuid
+        || item._stats?.compendiumSource === cellData.uuid
+        || item._stats?.duplicateSource === cellData.uuid;
+}
+
+/**
+ * Get activities from an item as an array
+ * Activities may be a Collection, a Map or a plain object depending on the dnd5e version
+ * @param {Item} item - The item
+ * @returns {Array} Array of activities
+ */
+export function getActivityList(item) {
+    const activities = item?.system?.activities;
+    if (!activities) return [];
+
+    if (activities.contents) return activities.contents;
+    if (typeof activities.values === 'function') return Array.from(activities.values());
+    if (typeof activities === 'object') return Object.values(activities);
+    return [];
+}
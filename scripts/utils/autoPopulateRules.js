@@ -0,0 +1,159 @@
+/**
+ * D&D 5e Auto-Populate Rules
+ * Rule selectors for the auto-populate grid configuration, stored alongside the item type
+ * values as "rule:<category>:<value>" (e.g. "rule:activation:bonus", "rule:school:evo").
+ *
+ * Matching: an item must match one of the selected item types (if any are selected) and,
+ * for every rule category that has selections, at least one value in that category.
+ * So "spell" + "rule:level:0" + "rule:school:evo" selects evocation cantrips, and
+ * "rule:activation:bonus" alone selects every bonus action item.
+ */
+
+import { getActivityList } from './activityUsage.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+
+/**
+ * Prefix marking a configuration value as a rule rather than an item type
+ */
+export const RULE_PREFIX = 'rule:';
+
+/**
+ * Activation types offered as rules
+ */
+const ACTIVATION_TYPES = ['action', 'bonus', 'reaction', 'legendary', 'lair', 'special'];
+
+/**
+ * Feature types offered as rules
+ */
+const FEATURE_TYPES = ['class', 'race', 'background', 'feat', 'monster'];
+
+/**
+ * Build rule choices for the auto-populate configuration dialog
+ * @returns {Array<{group: string, choices: Array<{value: string, label: string}>}>}
+ */
+export function getRuleChoices() {
+    const config = CONFIG.DND5E ?? {};
+    const label = (entry, fallback) => (typeof entry === 'string' ? entry : entry?.label) ?? fallback;
+    const rule = (category, value, text) => ({ value: `${RULE_PREFIX}${category}:${value}`, label: text });
+
+    return [
+        {
+            group: game.i18n.localize(`${MODULE_ID}.AutoPopulate.Groups.Activation`),
+            choices: ACTIVATION_TYPES.map(type => rule('activation', type,
+                game.i18n.localize(label(config.activityActivationTypes?.[type] ?? config.abilityActivationTypes?.[type], type))))
+        },
+        {
+            group: game.i18n.localize(`${MODULE_ID}.AutoPopulate.Groups.SpellLevel`),
+            choices: Object.entries(config.spellLevels ?? {}).map(([level, text]) => rule('level', level, game.i18n.localize(text)))
+        },
+        {
+            group: game.i18n.localize(`${MODULE_ID}.AutoPopulate.Groups.SpellSchool`),
+            choices: Object.entries(config.spellSchools ?? {}).map(([school, entry]) => rule('school', school,
+                game.i18n.localize(label(entry, school))))
+        },
+        {
+            group: game.i18n.localize(`${MODULE_ID}.AutoPopulate.Groups.SpellProperties`),
+            choices: [
+                rule('property', 'concentration', game.i18n.localize(`${MODULE_ID}.AutoPopulate.Rules.Concentration`)),
+                rule('property', 'ritual', game.i18n.localize(`${MODULE_ID}.AutoPopulate.Rules.Ritual`))
+            ]
+        },
+        {
+            group: game.i18n.localize(`${MODULE_ID}.AutoPopulate.Groups.FeatureType`),
+            choices: FEATURE_TYPES.map(type => rule('feature', type,
+                game.i18n.localize(label(config.featureTypes?.[type], type))))
+        },
+        {
+            group: game.i18n.localize(`${MODULE_ID}.AutoPopulate.Groups.ItemState`),
+            choices: [
+                rule('state', 'equipped', game.i18n.localize(`${MODULE_ID}.AutoPopulate.Rules.Equipped`)),
+                rule('state', 'attuned', game.i18n.localize(`${MODULE_ID}.AutoPopulate.Rules.Attuned`))
+            ]
+        }
+    ];
+}
+
+/**
+ * Split configured grid values into item types and rules
+ * @param {Array<string>} values - Values selected for a grid
+ * @returns {{types: Array<string>, rules: Map<string, Set<string>>}}
+ */
+export function parseSelection(values = []) {
+    const types = [];
+    const rules = new Map();
+
+    for (const value of values) {
+        if (!value.startsWith(RULE_PREFIX)) {
+            types.push(value);
+            continue;
+        }
+
+        const [category, ...rest] = value.slice(RULE_PREFIX.length).split(':');
+        if (!category || rest.length === 0) continue;
+        if (!rules.has(category)) rules.set(category, new Set());
+        rules.get(category).add(rest.join(':'));
+    }
+
+    return { types, rules };
+}
+
+/**
+ * Get the activation types an item offers
+ * @param {Item} item - The item
+ * @returns {Set<string>}
+ */
+function getActivationTypes(item) {
+    const types = new Set();
+    for (const activity of getActivityList(item)) {
+        if (activity?.activation?.type) types.add(activity.activation.type);
+    }
+    // Legacy: system.activation.type
+    if (types.size === 0 && item.system?.activation?.type) types.add(item.system.activation.type);
+    return types;
+}
+
+/**
+ * Check a single rule category against an item
+ * @param {Item} item - The item
+ * @param {string} category - Rule category
+ * @param {Set<string>} values - Accepted values
+ * @returns {boolean}
+ */
+function matchesCategory(item, category, values) {
+    const system = item.system ?? {};
+
+    switch (category) {
+        case 'activation': {
+            const types = getActivationTypes(item);
+            return Array.from(values).some(value => types.has(value));
+        }
+        case 'level':
+            return item.type === 'spell' && values.has(String(system.level ?? 0));
+        case 'school':
+            return item.type === 'spell' && values.has(system.school);
+        case 'property':
+            return Array.from(values).some(value => system.properties?.has?.(value));
+        case 'feature':
+            return item.type === 'feat' && values.has(system.type?.value);
+        case 'state':
+            return (values.has('equipped') && system.equipped === true)
+                || (values.has('attuned') && system.attuned === true);
+        default:
+            // Unknown categories (e.g. from a newer version) don't filter anything out
+            return true;
+    }
+}
+
+/**
+ * Check an item against parsed rules (every category must match)
+ * @param {Item} item - The item
+ * @param {Map<string, Set<string>>} rules - Rules from parseSelection()
+ * @returns {boolean}
+ */
+export function matchesRules(item, rules) {
+    for (const [category, values] of rules) {
+        if (!matchesCategory(item, category, values)) return false;
+    }
+    return true;
+}
@@ -0,0 +1,168 @@
+/**
+ * D&D 5e Consumption Preview
+ * Work out what using an item or activity will cost (spell slot, uses, quantity,
+ * ammunition, class resources) and whether the actor can afford it.
+ */
+
+import { getActivityList } from './activityUsage.js';
+import { getCastingSlots } from './spellSlots.js';
+
+/**
+ * Parse a consumption amount (dnd5e stores it as a formula string)
+ * @param {string|number} value - Amount
+ * @returns {number}
+ */
+function parseCost(value) {
+    const cost = parseInt(value);
+    return Number.isFinite(cost) && cost > 0 ? cost : 1;
+}
+
+/**
+ * Get the activity a cell will use: the activity itself, or the item's first activity
+ * @param {Item|Object} document - Item or activity
+ * @returns {{item: Item|null, activity: Object|null}}
+ */
+function resolveUsage(document) {
+    if (!document) return { item: null, activity: null };
+    if (document.documentName === 'Item') {
+        const activities = getActivityList(document).sort((a, b) => (a.sort ?? 0) - (b.sort ?? 0));
+        return { item: document, activity: activities[0] ?? null };
+    }
+    return { item: document.item ?? null, activity: document };
+}
+
+/**
+ * Get remaining uses from a uses object ({ max, spent, value })
+ * @param {Object} uses - Uses data
+ * @returns {number|null} Remaining uses, or null if unlimited
+ */
+function getRemainingUses(uses) {
+    const max = parseInt(uses?.max) || 0;
+    if (max <= 0) return null;
+    return uses.value ?? Math.max(0, max - (parseInt(uses.spent) || 0));
+}
+
+/**
+ * Find the ammunition a weapon will consume
+ * Prefers the ammunition last used with the activity, else the first matching ammo item.
+ * @param {Item} item - The weapon
+ * @param {Object} [activity] - The attack activity
+ * @returns {Item|null}
+ */
+export function findAmmunition(item, activity = null) {
+    const actor = item?.actor;
+    if (!actor || !item.system?.properties?.has?.('amm')) return null;
+
+    const lastId = activity ? item.getFlag?.('dnd5e', `last.${activity.id}.ammunition`) : null;
+    if (lastId && actor.items.has(lastId)) return actor.items.get(lastId);
+
+    const ammoType = item.system?.ammunition?.type;
+    return actor.items.find(candidate =>
+        candidate.type === 'consumable' &&
+        candidate.system?.type?.value === 'ammo' &&
+        (!ammoType || candidate.system?.type?.subtype === ammoType) &&
+        (candidate.system?.quantity ?? 0) > 0
+    ) ?? null;
+}
+
+/**
+ * Build the consumption preview for an item or activity
+ * @param {Item|Object} document - Item or activity behind a cell
+ * @returns {{entries: Array<{kind: string, label: string, cost: number, available: number, affordable: boolean, target?: string}>, affordable: boolean}}
+ */
+export function getConsumptionPreview(document) {
+    const { item, activity } = resolveUsage(document);
+    const actor = item?.actor;
+    const entries = [];
+    if (!item || !actor) return { entries, affordable: true };
+
+    // Spell slot for leveled slot-based spells (lowest available slot)
+    if (item.type === 'spell' && (activity?.consumption?.spellSlot ?? true)) {
+        const level = item.system?.level ?? 0;
+        const method = item.system?.method ?? item.system?.preparation?.mode ?? 'spell';
+        if (level > 0 && (method === 'spell' || method === 'pact')) {
+            const slots = getCastingSlots(actor, level).filter(slot => method === 'spell' || slot.isPact);
+            const slot = slots[0];
+            entries.push({
+                kind: 'slot',
+                label: slot?.label ?? CONFIG.DND5E?.spellLevels?.[level] ?? `${level}`,
+                cost: 1,
+                available: slot?.value ?? 0,
+                affordable: !!slot,
+                target: slot?.key ?? (method === 'pact' ? 'pact' : `spell${level}`)
+            });
+        }
+    }
+
+    for (const target of activity?.consumption?.targets ?? []) {
+        const cost = parseCost(target.value);
+
+        switch (target.type) {
+            case 'activityUses': {
+                const available = getRemainingUses(activity.uses);
+                if (available === null) break;
+                entries.push({ kind: 'uses', label: activity.name, cost, available, affordable: available >= cost });
+                break;
+            }
+            case 'itemUses': {
+                const source = target.target ? actor.items.get(target.target) : item;
+                const available = getRemainingUses(source?.system?.uses);
+                if (!source) break;
+                if (available === null) {
+                    // Items without limited uses fall back to quantity (e.g. potions)
+                    const quantity = source.system?.quantity ?? 0;
+                    entries.push({ kind: 'quantity', label: source.name, cost, available: quantity, affordable: quantity >= cost, target: source.id });
+                } else {
+                    entries.push({ kind: 'uses', label: source.name, cost, available, affordable: available >= cost, target: source.id });
+                }
+                break;
+            }
+            case 'material': {
+                const source = actor.items.get(target.target);
+                if (!source) break;
+                const quantity = source.system?.quantity ?? 0;
+                entries.push({ kind: 'quantity', label: source.name, cost, available: quantity, affordable: quantity >= cost, target: source.id });
+                break;
+            }
+            case 'attribute': {
+                const path = String(target.target ?? '');
+                const available = foundry.utils.getProperty(actor.system, path);
+                if (typeof available !== 'number') break;
+                // system.resources.primary.value -> strip resource 'primary'
+                const resource = path.match(/^resources\.(\w+)\.value$/)?.[1];
+                entries.push({ kind: 'resource', label: target.label ?? path, cost, available, affordable: available >= cost, target: resource ?? path });
+                break;
+            }
+            case 'hitDice': {
+                const available = actor.system?.attributes?.hd?.value ?? 0;
+                entries.push({ kind: 'hitDice', label: game.i18n.localize('DND5E.HitDice'), cost, available, affordable: available >= cost });
+                break;
+            }
+            case 'spellSlots': {
+                const slot = actor.system?.spells?.[target.target];
+                if (!slot) break;
+                const available = slot.value ?? 0;
+                entries.push({ kind: 'slot', label: slot.label ?? target.target, cost, available, affordable: available >= cost, target: target.target });
+                break;
+            }
+        }
+    }
+
+    // Ammunition for weapons with the ammunition property
+    if (item.type === 'weapon' && (!activity || activity.type === 'attack')) {
+        const ammo = findAmmunition(item, activity);
+        if (item.system?.properties?.has?.('amm')) {
+            const available = ammo?.system?.quantity ?? 0;
+            entries.push({
+                kind: 'ammo',
+                label: ammo?.name ?? game.i18n.localize('bg3-hud-dnd5e.Consumption.NoAmmunition'),
+                cost: 1,
+                available,
+                affordable: available >= 1,
+                target: ammo?.id
+            });
+        }
+    }
+
+    return { entries, affordable: entries.every(entry => entry.affordable) };
+}
@@ -0,0 +1,104 @@
+/**
+ * D&D 5e Sheet Favorites Helpers
+ * Read and write the Favorites tab of dnd5e v4+ sheets (`system.favorites`).
+ * Favorites are { type, id, sort } where id is a relative UUID (".Item.abc",
+ * ".Item.abc.Activity.def", ".ActiveEffect.ghi") or a key for skills / tools / slots.
+ */
+
+/**
+ * Auto-populate source value for sheet favorites
+ */
+export const FAVORITES_SOURCE = 'favorites';
+
+/**
+ * Check if an actor's data model supports sheet favorites
+ * @param {Actor} actor - The actor
+ * @returns {boolean}
+ */
+export function supportsFavorites(actor) {
+    return typeof actor?.system?.addFavorite === 'function' && Array.isArray(actor.system.favorites);
+}
+
+/**
+ * Get an actor's favorites in sheet order
+ * @param {Actor} actor - The actor
+ * @returns {Array<{type: string, id: string, sort: number}>}
+ */
+export function getFavorites(actor) {
+    if (!supportsFavorites(actor)) return [];
+    return [...actor.system.favorites].sort((a, b) => (a.sort ?? 0) - (b.sort ?? 0));
+}
+
+/**
+ * Resolve a document favorite (item, activity or effect)
+ * @param {Actor} actor - The actor
+ * @param {{type: string, id: string}} favorite - The favorite
+ * @returns {Item|Object|ActiveEffect|null}
+ */
+export function resolveFavorite(actor, favorite) {
+    if (!['item', 'activity', 'effect'].includes(favorite?.type)) return null;
+    try {
+        return fromUuidSync(favorite.id, { relative: actor, strict: false }) ?? null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get hotbar entries for an actor's item and activity favorites
+ * @param {Actor} actor - The actor
+ * @returns {Array<{uuid: string, type: string, item: Item}>}
+ */
+export function getFavoriteEntries(actor) {
+    const entries = [];
+    for (const favorite of getFavorites(actor)) {
+        if (favorite.type !== 'item' && favorite.type !== 'activity') continue;
+        const target = resolveFavorite(actor, favorite);
+        if (!target) continue;
+
+        entries.push({
+            uuid: target.uuid,
+            type: favorite.type === 'activity' ? 'Activity' : 'Item',
+            item: target.item ?? target
+        });
+    }
+    return entries;
+}
+
+/**
+ * Build the favorite data for a document owned by an actor
+ * @param {Actor} actor - The actor
+ * @param {Item|Object|ActiveEffect} target - Item, activity or effect
+ * @returns {{type: string, id: string}|null}
+ */
+export function getFavoriteData(actor, target) {
+    if (!actor || !target) return null;
+
+    const type = {
+        Item: 'item',
+        Activity: 'activity',
+        ActiveEffect: 'effect'
+    }[target.documentName];
+    if (!type) return null;
+
+    // Activities are pseudo-documents; build their id from the parent item
+    let id = null;
+    if (type === 'activity') {
+        id = target.relativeUUID ?? (target.item ? `.Item.${target.item.id}.Activity.${target.id}` : null);
+    } else if (typeof target.getRelativeUUID === 'function') {
+        id = target.getRelativeUUID(actor);
+    }
+    return id ? { type, id } : null;
+}
+
+/**
+ * Add a favorite to an actor's sheet if it isn't there yet
+ * @param {Actor} actor - The actor
+ * @param {{type: string, id: string}} favorite - The favorite
+ * @returns {Promise<boolean>} True if it was added
+ */
+export async function addFavorite(actor, favorite) {
+    if (!favorite || !supportsFavorites(actor) || actor.system.hasFavorite?.(favorite.id)) return false;
+    await actor.system.addFavorite(favorite);
+    return true;
+}
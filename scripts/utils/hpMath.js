@@ -0,0 +1,194 @@
+/**
+ * D&D 5e HP Input Math
+ * Parses and applies what is typed into the portrait HP input:
+ *   "25" / "=25" / "=50%" / "=max"   set HP
+ *   "+10" / "+1d8+2" / "+10%"        heal
+ *   "-14" / "-14 fire" / "-2d6+3 slashing"  damage (resistances, immunities and vulnerabilities apply,
+ *                                           temp HP drains first)
+ *   "+10 temp" / "=5 temp"           gain temp HP (the higher value is kept) / set temp HP
+ * Dice formulas are rolled to chat so everyone sees the result.
+ */
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+
+/**
+ * Words that mark a temp HP change
+ */
+const TEMP_WORDS = ['temp', 'temphp', 'thp'];
+
+/**
+ * Find the damage type a word refers to (key or localized label, case-insensitive)
+ * @param {string} word - The typed word
+ * @returns {string|null} Damage type key
+ */
+export function findDamageType(word) {
+    const search = word?.trim().toLowerCase();
+    if (!search) return null;
+
+    for (const [key, config] of Object.entries(CONFIG.DND5E?.damageTypes ?? {})) {
+        const label = typeof config === 'string' ? config : config?.label;
+        if (key === search || game.i18n.localize(label ?? '').toLowerCase() === search) return key;
+    }
+    return null;
+}
+
+/**
+ * Parse an HP input string
+ * @param {string} input - The typed input
+ * @returns {{operation: string, formula: string, percent: boolean, type: string|null}|null}
+ *   operation is "set", "max", "heal", "damage", "temp" or "setTemp"; null if the input is not understood
+ */
+export function parseHPInput(input) {
+    const text = input?.trim() ?? '';
+    if (!text) return null;
+
+    const sign = ['=', '+', '-'].includes(text[0]) ? text[0] : '';
+    const body = text.slice(sign.length).trim();
+    if (sign === '=' && body.toLowerCase() === 'max') {
+        return { operation: 'max', formula: '', percent: false, type: null };
+    }
+
+    // "<formula> [word]" - formulas never contain spaces before the trailing word
+    const match = body.match(/^(\S+)(?:\s+(.+))?$/);
+    if (!match) return null;
+
+    let formula = match[1];
+    const word = match[2]?.trim().toLowerCase() ?? '';
+    const percent = formula.endsWith('%');
+    if (percent) formula = formula.slice(0, -1);
+    if (!formula) return null;
+
+    if (TEMP_WORDS.includes(word)) {
+        if (sign === '-') return null;
+        return { operation: sign === '=' ? 'setTemp' : 'temp', formula, percent, type: null };
+    }
+
+    const type = word ? findDamageType(word) : null;
+    if (word && !type) return null;
+
+    if (sign === '-' || (!sign && type)) return { operation: 'damage', formula, percent, type };
+    if (sign === '+') return { operation: 'heal', formula, percent, type: null };
+    return { operation: 'set', formula, percent, type: null };
+}
+
+/**
+ * Evaluate the amount of a parsed input
+ * Plain numbers are used as-is; dice formulas are rolled and posted to chat.
+ * @param {Actor} actor - The actor
+ * @param {{formula: string, percent: boolean}} parsed - Parsed input
+ * @param {string} flavor - Chat flavor for rolled formulas
+ * @returns {Promise<number|null>} The amount, or null if the formula is invalid
+ */
+export async function evaluateAmount(actor, parsed, flavor) {
+    let amount;
+    if (/^\d+(\.\d+)?$/.test(parsed.formula)) {
+        amount = Number(parsed.formula);
+    } else {
+        if (!Roll.validate(parsed.formula)) return null;
+        const roll = await new Roll(parsed.formula, actor.getRollData?.() ?? {}).evaluate();
+        if (roll.dice.length > 0) {
+            await roll.toMessage({ speaker: ChatMessage.getSpeaker({ actor }), flavor });
+        }
+        amount = roll.total;
+    }
+
+    if (parsed.percent) amount = (actor.system.attributes.hp.max ?? 0) * amount / 100;
+    return Math.max(0, Math.floor(amount));
+}
+
+/**
+ * Get the damage multiplier from the actor's immunities, resistances and vulnerabilities
+ * @param {Actor} actor - The actor
+ * @param {string|null} type - Damage type key
+ * @returns {number} 0, 0.5, 1 or 2
+ */
+export function getDamageMultiplier(actor, type) {
+    if (!type) return 1;
+    const traits = actor.system?.traits ?? {};
+    const has = (trait) => {
+        const value = traits[trait]?.value;
+        return value instanceof Set ? value.has(type) : Array.isArray(value) && value.includes(type);
+    };
+
+    if (has('di')) return 0;
+    let multiplier = 1;
+    if (has('dr')) multiplier *= 0.5;
+    if (has('dv')) multiplier *= 2;
+    return multiplier;
+}
+
+/**
+ * Apply damage, draining temp HP first
+ * Uses dnd5e's applyDamage when available (which also knows bypasses and damage modification);
+ * the concentration prompt is left to the caller.
+ * @param {Actor} actor - The actor
+ * @param {number} amount - Damage before resistances
+ * @param {string|null} type - Damage type key
+ * @returns {Promise<void>}
+ */
+async function applyDamage(actor, amount, type) {
+    if (typeof actor.applyDamage === 'function') {
+        const damages = [{ value: amount, type: type ?? 'none', properties: new Set() }];
+        await actor.applyDamage(type ? damages : amount, { dnd5e: { concentrationCheck: false } });
+        return;
+    }
+
+    const hp = actor.system.attributes.hp;
+    let remaining = Math.floor(amount * getDamageMultiplier(actor, type));
+    const fromTemp = Math.min(hp.temp ?? 0, remaining);
+    remaining -= fromTemp;
+
+    await actor.update({
+        'system.attributes.hp.temp': (hp.temp ?? 0) - fromTemp,
+        'system.attributes.hp.value': Math.max(0, hp.value - remaining)
+    }, { dnd5e: { concentrationCheck: false } });
+}
+
+/**
+ * Parse and apply an HP input to an actor
+ * @param {Actor} actor - The actor
+ * @param {string} input - The typed input
+ * @returns {Promise<boolean>} True if the input was understood
+ */
+export async function applyHPInput(actor, input) {
+    const parsed = parseHPInput(input);
+    if (!actor || !parsed) return false;
+
+    const hp = actor.system.attributes.hp;
+    const before = (hp.value ?? 0) + (hp.temp ?? 0);
+
+    if (parsed.operation === 'max') {
+        await actor.update({ 'system.attributes.hp.value': hp.effectiveMax ?? hp.max });
+        return true;
+    }
+
+    const flavor = parsed.type
+        ? game.i18n.format(`${MODULE_ID}.HPInput.DamageFlavor`, { type: game.i18n.localize(CONFIG.DND5E.damageTypes[parsed.type]?.label ?? parsed.type) })
+        : game.i18n.localize(`${MODULE_ID}.HPInput.Flavor.${parsed.operation}`);
+    const amount = await evaluateAmount(actor, parsed, flavor);
+    if (amount === null) return false;
+
+    switch (parsed.operation) {
+        case 'set':
+            await actor.modifyTokenAttribute('attributes.hp', amount, false);
+            break;
+        case 'heal':
+            await actor.modifyTokenAttribute('attributes.hp', amount, true);
+            break;
+        case 'temp':
+            // Temporary hit points don't stack: keep the higher value
+            if (amount > (hp.temp ?? 0)) await actor.update({ 'system.attributes.hp.temp': amount });
+            break;
+        case 'setTemp':
+            await actor.update({ 'system.attributes.hp.temp': amount });
+            break;
+        case 'damage': {
+            await applyDamage(actor, amount, parsed.type);
+            const after = (actor.system.attributes.hp.value ?? 0) + (actor.system.attributes.hp.temp ?? 0);
+            await ui.BG3HOTBAR?.registry?.activeAdapter?.concentration?.promptSave(actor, before - after);
+            break;
+        }
+    }
+
+    return true;
+}
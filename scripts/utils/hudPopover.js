@@ -0,0 +1,123 @@
+/**
+ * HUD Popover Helpers
+ * Shared plumbing for the pickers and panels that pop out of the HUD: element creation,
+ * positioning next to an anchor, and an open/close lifecycle with one popover per group.
+ */
+
+/**
+ * Open popovers by group
+ * @type {Map<string, {element: HTMLElement, close: Function, dismiss: Function, result: Promise}>}
+ */
+const openPopovers = new Map();
+
+/**
+ * Create an element with classes and optional text
+ * @param {string} tag - Tag name
+ * @param {Array<string>} classes - CSS classes
+ * @param {string} [text] - Text content
+ * @returns {HTMLElement}
+ */
+export function createElement(tag, classes = [], text = '') {
+    const element = document.createElement(tag);
+    if (classes.length) element.classList.add(...classes);
+    if (text) element.textContent = text;
+    return element;
+}
+
+/**
+ * Position an element centered above an anchor, clamped to the viewport
+ * Centers the element on screen when there is no anchor.
+ * The element must already be in the DOM so it can be measured.
+ * @param {HTMLElement} element - The popover element
+ * @param {HTMLElement} [anchor] - The anchor element
+ */
+export function positionAnchored(element, anchor) {
+    const rect = anchor?.getBoundingClientRect?.();
+    if (!rect) {
+        element.style.left = '50%';
+        element.style.top = '50%';
+        element.style.transform = 'translate(-50%, -50%)';
+        return;
+    }
+
+    const elementRect = element.getBoundingClientRect();
+    const margin = 6;
+    let left = rect.left + (rect.width / 2) - (elementRect.width / 2);
+    let top = rect.top - elementRect.height - margin;
+
+    // Flip below the anchor if there is no room above
+    if (top < margin) top = rect.bottom + margin;
+
+    left = Math.max(margin, Math.min(left, window.innerWidth - elementRect.width - margin));
+
+    element.style.left = `${left}px`;
+    element.style.top = `${top}px`;
+}
+
+/**
+ * Show a popover in the HUD container until it is closed
+ * Opening a popover dismisses the one already open in the same group. Escape dismisses it,
+ * and so does a click outside when closeOnOutsideClick is set.
+ * @param {HTMLElement} element - The popover element
+ * @param {Object} options
+ * @param {string} options.group - Only one popover per group is open at a time
+ * @param {*} [options.dismissResult=null] - Result when dismissed rather than closed with a value
+ * @param {boolean} [options.closeOnOutsideClick=false] - Dismiss on a pointerdown outside the popover
+ * @param {Function} [options.onClose] - Awaited with the result after the popover is removed
+ * @returns {{element: HTMLElement, close: Function, dismiss: Function, result: Promise}}
+ *   close(value) closes with a result; result resolves with it once onClose is done
+ */
+export function openPopover(element, { group, dismissResult = null, closeOnOutsideClick = false, onClose = null } = {}) {
+    openPopovers.get(group)?.dismiss();
+
+    // Mark as UI element to prevent system tooltips (dnd5e2, etc.) from showing
+    element.dataset.bg3Ui = 'true';
+
+    let resolveResult;
+    const result = new Promise((resolve) => {
+        resolveResult = resolve;
+    });
+    let closed = false;
+
+    const onKeyDown = (event) => {
+        if (event.key !== 'Escape') return;
+        event.preventDefault();
+        close(dismissResult);
+    };
+    const onPointerDown = (event) => {
+        if (!element.contains(event.target)) close(dismissResult);
+    };
+
+    async function close(value) {
+        if (closed) return;
+        closed = true;
+
+        document.removeEventListener('keydown', onKeyDown, true);
+        document.removeEventListener('pointerdown', onPointerDown, true);
+        element.remove();
+        if (openPopovers.get(group) === popover) openPopovers.delete(group);
+
+        try {
+            await onClose?.(value);
+        } catch (error) {
+            console.error('[bg3-hud-dnd5e] Popover | Error closing popover:', error);
+        }
+        resolveResult(value);
+    }
+
+    const popover = { element, close, dismiss: () => close(dismissResult), result };
+    openPopovers.set(group, popover);
+
+    const host = document.getElementById('bg3-hotbar-container') ?? document.body;
+    host.appendChild(element);
+    document.addEventListener('keydown', onKeyDown, true);
+
+    // Defer outside-click handling so the click that opened the popover doesn't close it
+    if (closeOnOutsideClick) {
+        setTimeout(() => {
+            if (!closed) document.addEventListener('pointerdown', onPointerDown, true);
+        }, 0);
+    }
+
+    return popover;
+}
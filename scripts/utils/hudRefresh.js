@@ -0,0 +1,34 @@
+/**
+ * HUD Refresh Helpers
+ * Features re-render their HUD widgets when an actor's data changes, but only while
+ * that actor is the one the HUD shows.
+ */
+
+/**
+ * Get the HUD app if it is showing an actor
+ * @param {Actor} actor - The actor whose data changed
+ * @returns {Object|null} The HUD app, or null if it isn't rendered or shows another actor
+ */
+export function getHUDForActor(actor) {
+    const hotbarApp = ui.BG3HUD_APP;
+    if (!hotbarApp?.components || !actor || hotbarApp.currentActor !== actor) return null;
+    return hotbarApp;
+}
+
+/**
+ * Re-render a portrait sub-component if the HUD is showing the actor
+ * Errors are logged rather than thrown, so callers can fire and forget.
+ * @param {Actor} actor - The actor whose data changed
+ * @param {string} key - Key of the component in the portrait's components
+ * @returns {Promise<void>}
+ */
+export async function refreshPortraitComponent(actor, key) {
+    const component = getHUDForActor(actor)?.components.portrait?.components?.[key];
+    if (!component || typeof component.render !== 'function') return;
+
+    try {
+        await component.render();
+    } catch (error) {
+        console.error(`[bg3-hud-dnd5e] HUD | Error refreshing portrait component "${key}":`, error);
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * D&D 5e Rest Preview Helpers
+ * Work out what a short or long rest will restore so the rest panel can show it before confirming
+ */
+
+import { getCastingSlots } from './spellSlots.js';
+
+/**
+ * Recovery periods restored by each rest type
+ * Long rests also start a new day by default, which restores 'day' uses
+ */
+const REST_PERIODS = {
+    short: ['sr'],
+    long: ['sr', 'lr', 'day']
+};
+
+/**
+ * Get hit dice per class
+ * @param {Actor} actor - The actor
+ * @returns {Array<{classId: string, name: string, denomination: string, value: number, max: number}>}
+ */
+export function getHitDiceByClass(actor) {
+    if (!actor?.items) return [];
+
+    return actor.items
+        .filter(item => item.type === 'class')
+        .map(cls => {
+            // dnd5e v4+: system.hd = { denomination, max, spent, value }; legacy: hitDice / hitDiceUsed
+            const hd = cls.system?.hd;
+            const denomination = hd?.denomination ?? cls.system?.hitDice ?? 'd8';
+            const max = hd?.max ?? cls.system?.levels ?? 0;
+            const spent = hd?.spent ?? cls.system?.hitDiceUsed ?? 0;
+            const value = hd?.value ?? Math.max(0, max - spent);
+
+            return { classId: cls.id, name: cls.name, denomination, value, max };
+        })
+        .filter(entry => entry.max > 0);
+}
+
+/**
+ * Check if an item recovers uses on a given rest type
+ * @param {Item} item - The item
+ * @param {'short'|'long'} restType - Rest type
+ * @returns {boolean}
+ */
+function recoversOnRest(item, restType) {
+    const periods = REST_PERIODS[restType] ?? [];
+    const uses = item?.system?.uses;
+    if (!uses) return false;
+
+    // dnd5e v4+: uses.recovery is an array of { period, type, formula }
+    if (Array.isArray(uses.recovery)) {
+        return uses.recovery.some(r => periods.includes(r?.period));
+    }
+
+    // Legacy: uses.per
+    return periods.includes(uses.per);
+}
+
+/**
+ * Get items with spent uses that the rest will recover
+ * @param {Actor} actor - The actor
+ * @param {'short'|'long'} restType - Rest type
+ * @returns {Array<{name: string, img: string, value: number, max: number}>}
+ */
+export function getRecoverableItems(actor, restType) {
+    if (!actor?.items) return [];
+
+    return actor.items
+        .filter(item => {
+            const max = parseInt(item.system?.uses?.max) || 0;
+            const spent = parseInt(item.system?.uses?.spent) || 0;
+            return max > 0 && spent > 0 && recoversOnRest(item, restType);
+        })
+        .map(item => {
+            const max = parseInt(item.system.uses.max) || 0;
+            const spent = parseInt(item.system.uses.spent) || 0;
+            return { name: item.name, img: item.img, value: Math.max(0, max - spent), max };
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get spell slots the rest will restore
+ * Short rests restore pact slots only; long rests restore every slot.
+ * @param {Actor} actor - The actor
+ * @param {'short'|'long'} restType - Rest type
+ * @returns {Array<Object>} Slots from getCastingSlots() that are not full
+ */
+export function getRecoverableSlots(actor, restType) {
+    return getCastingSlots(actor, 1, { includeEmpty: true })
+        .filter(slot => !slot.isApothecary && slot.value < slot.max)
+        .filter(slot => restType === 'long' || slot.isPact);
+}
+
+/**
+ * Get how many hit dice a long rest will restore per class
+ * Modern (2024) rules restore all hit dice; legacy rules restore half the total (minimum one).
+ * @param {Actor} actor - The actor
+ * @returns {Array<{name: string, denomination: string, restored: number}>}
+ */
+export function getRecoverableHitDice(actor) {
+    const classes = getHitDiceByClass(actor);
+    const totalMax = classes.reduce((sum, entry) => sum + entry.max, 0);
+    // rulesVersion only exists from dnd5e v4 onward
+    const modern = game.settings.settings.has('dnd5e.rulesVersion') &&
+        game.settings.get('dnd5e', 'rulesVersion') === 'modern';
+    let budget = modern ? totalMax : Math.max(1, Math.floor(totalMax / 2));
+
+    // dnd5e restores the largest dice first
+    const bySize = [...classes].sort((a, b) => (parseInt(b.denomination.slice(1)) || 0) - (parseInt(a.denomination.slice(1)) || 0));
+
+    const restored = [];
+    for (const entry of bySize) {
+        const spent = entry.max - entry.value;
+        const amount = Math.min(spent, budget);
+        if (amount <= 0) continue;
+        budget -= amount;
+        restored.push({ name: entry.name, denomination: entry.denomination, restored: amount });
+    }
+    return restored;
+}
+
+/**
+ * Get the HP a long rest will restore
+ * @param {Actor} actor - The actor
+ * @returns {number}
+ */
+export function getRecoverableHP(actor) {
+    const hp = actor?.system?.attributes?.hp;
+    if (!hp) return 0;
+    return Math.max(0, (hp.effectiveMax ?? hp.max ?? 0) - (hp.value ?? 0));
+}
@@ -1,4 +1,8 @@
 import { createSettingsSubmenu } from '/modules/bg3-hud-core/scripts/api/SettingsSubmenu.js';
+import { DEFAULT_PRESETS } from '../features/DnD5eAutoPopulatePresets.js';
+import { exportPresets, showPresetImport, showPresetManager } from '../components/ui/AutoPopulatePresetDialogs.js';
+import { DEFAULT_TYPE_ORDER, SORT_STRATEGIES } from '../features/DnD5eAutoSort.js';
+import { showSortOrderDialog } from '../components/ui/SortOrderDialog.js';
 
 const MODULE_ID = 'bg3-hud-dnd5e';
 
@@ -235,6 +239,92 @@ export function registerSettings() {
     onChange: () => ui.BG3HUD_APP?.refresh()
   });
 
+  // Spell slot picker on leveled spell cells
+  game.settings.register(MODULE_ID, 'enableSlotPicker', {
+    name: `${MODULE_ID}.Settings.EnableSlotPicker`,
+    hint: `${MODULE_ID}.Settings.EnableSlotPickerHint`,
+    scope: 'client',
+    config: false,
+    type: Boolean,
+    default: true
+  });
+
+  // Class resource strip next to the portrait
+  game.settings.register(MODULE_ID, 'showResourceStrip', {
+    name: `${MODULE_ID}.Settings.ShowResourceStrip`,
+    hint: `${MODULE_ID}.Settings.ShowResourceStripHint`,
+    scope: 'client',
+    config: false,
+    type: Boolean,
+    default: true,
+    onChange: () => ui.BG3HUD_APP?.refresh()
+  });
+
+  // Show the legendary / lair action panel next to the portrait for legendary NPCs
+  game.settings.register(MODULE_ID, 'showLegendaryPanel', {
+    name: `${MODULE_ID}.Settings.ShowLegendaryPanel`,
+    hint: `${MODULE_ID}.Settings.ShowLegendaryPanelHint`,
+    scope: 'client',
+    config: false,
+    type: Boolean,
+    default: true,
+    onChange: () => ui.BG3HUD_APP?.refresh()
+  });
+
+  // Active conditions and exhaustion along the portrait
+  game.settings.register(MODULE_ID, 'showConditionStrip', {
+    name: `${MODULE_ID}.Settings.ShowConditionStrip`,
+    hint: `${MODULE_ID}.Settings.ShowConditionStripHint`,
+    scope: 'client',
+    config: false,
+    type: Boolean,
+    default: true,
+    onChange: () => ui.BG3HUD_APP?.refresh()
+  });
+
+  // Temporary effects with remaining duration along the portrait
+  game.settings.register(MODULE_ID, 'showEffectsPanel', {
+    name: `${MODULE_ID}.Settings.ShowEffectsPanel`,
+    hint: `${MODULE_ID}.Settings.ShowEffectsPanelHint`,
+    scope: 'client',
+    config: false,
+    type: Boolean,
+    default: true,
+    onChange: () => ui.BG3HUD_APP?.refresh()
+  });
+
+  // Recent HP changes with undo, shown when hovering the portrait
+  game.settings.register(MODULE_ID, 'showHPHistory', {
+    name: `${MODULE_ID}.Settings.ShowHPHistory`,
+    hint: `${MODULE_ID}.Settings.ShowHPHistoryHint`,
+    scope: 'client',
+    config: false,
+    type: Boolean,
+    default: true,
+    onChange: () => ui.BG3HUD_APP?.refresh()
+  });
+
+  // "Most used" badges on hotbar cells
+  game.settings.register(MODULE_ID, 'showMostUsedBadges', {
+    name: `${MODULE_ID}.Settings.ShowMostUsedBadges`,
+    hint: `${MODULE_ID}.Settings.ShowMostUsedBadgesHint`,
+    scope: 'client',
+    config: false,
+    type: Boolean,
+    default: true,
+    onChange: () => ui.BG3HUD_APP?.refresh()
+  });
+
+  // Two-way sync between hotbar pins and dnd5e sheet favorites
+  game.settings.register(MODULE_ID, 'syncSheetFavorites', {
+    name: `${MODULE_ID}.Settings.SyncSheetFavorites`,
+    hint: `${MODULE_ID}.Settings.SyncSheetFavoritesHint`,
+    scope: 'client',
+    config: false,
+    type: Boolean,
+    default: false
+  });
+
   // Show HP controls (kill/heal buttons) setting
   game.settings.register(MODULE_ID, 'showHPControls', {
     name: `${MODULE_ID}.Settings.ShowHPControls`,
@@ -256,6 +346,42 @@ export function registerSettings() {
     onChange: () => ui.BG3HUD_APP?.refresh()
   });
 
+  // Death save automation (turn-start rolls, stable/dead statuses, clearing on recovery)
+  game.settings.register(MODULE_ID, 'deathSaveAutomation', {
+    name: `${MODULE_ID}.Settings.DeathSaveAutomation`,
+    hint: `${MODULE_ID}.Settings.DeathSaveAutomationHint`,
+    scope: 'world',
+    config: false,
+    type: String,
+    choices: {
+      off: `${MODULE_ID}.Settings.DeathSaveAutomationOff`,
+      prompt: `${MODULE_ID}.Settings.DeathSaveAutomationPrompt`,
+      auto: `${MODULE_ID}.Settings.DeathSaveAutomationAuto`
+    },
+    default: 'off'
+  });
+
+  // Ask the GM whether to spend a legendary resistance when an NPC fails a saving throw
+  game.settings.register(MODULE_ID, 'promptLegendaryResistance', {
+    name: `${MODULE_ID}.Settings.PromptLegendaryResistance`,
+    hint: `${MODULE_ID}.Settings.PromptLegendaryResistanceHint`,
+    scope: 'world',
+    config: false,
+    type: Boolean,
+    default: false
+  });
+
+  // Track action / bonus action / reaction and legendary actions per turn in combat
+  game.settings.register(MODULE_ID, 'trackActionEconomy', {
+    name: `${MODULE_ID}.Settings.TrackActionEconomy`,
+    hint: `${MODULE_ID}.Settings.TrackActionEconomyHint`,
+    scope: 'world',
+    config: false,
+    type: Boolean,
+    default: true,
+    onChange: () => ui.BG3HUD_APP?.refresh()
+  });
+
   // Ignore D&D 5e Group actors when selecting compatible tokens
   game.settings.register(MODULE_ID, 'ignoreGroupActors', {
     name: `${MODULE_ID}.Settings.IgnoreGroupActors`,
@@ -388,12 +514,54 @@ export function registerSettings() {
     }
   });
 
+  // Auto-populate presets (named grid configurations chosen per actor)
+  game.settings.register(MODULE_ID, 'autoPopulatePresets', {
+    name: `${MODULE_ID}.Settings.AutoPopulatePresets`,
+    hint: `${MODULE_ID}.Settings.AutoPopulatePresetsHint`,
+    restricted: true,
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: DEFAULT_PRESETS
+  });
+
+  // Sort strategy for auto-populate and the core sort command
+  game.settings.register(MODULE_ID, 'autoSortStrategy', {
+    name: `${MODULE_ID}.Settings.AutoSortStrategy`,
+    hint: `${MODULE_ID}.Settings.AutoSortStrategyHint`,
+    scope: 'world',
+    config: false,
+    type: String,
+    choices: SORT_STRATEGIES,
+    default: 'type'
+  });
+
+  // Item type order used by every sort strategy (edited with drag and drop)
+  game.settings.register(MODULE_ID, 'autoSortTypeOrder', {
+    name: `${MODULE_ID}.Settings.AutoSortTypeOrder`,
+    hint: `${MODULE_ID}.Settings.AutoSortTypeOrderHint`,
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: DEFAULT_TYPE_ORDER
+  });
+
+  // Pick presets by class / CR / summon for actors without a chosen preset
+  game.settings.register(MODULE_ID, 'autoPopulatePresetDetection', {
+    name: `${MODULE_ID}.Settings.AutoPopulatePresetDetection`,
+    hint: `${MODULE_ID}.Settings.AutoPopulatePresetDetectionHint`,
+    scope: 'world',
+    config: false,
+    type: Boolean,
+    default: false
+  });
+
   // Now create submenu classes that reference the registered settings
   const DisplaySettingsMenu = createSettingsSubmenu({
     moduleId: MODULE_ID,
     titleKey: `${MODULE_ID}.Settings.Display.MenuTitle`,
     sections: [
-      { legend: `${MODULE_ID}.Settings.Display.Legend`, keys: ['showItemNames', 'showItemUses', 'showHealthOverlay', 'defaultPortraitImageSource', 'showHPControls', 'hideDeathSaves'] }
+      { legend: `${MODULE_ID}.Settings.Display.Legend`, keys: ['showItemNames', 'showItemUses', 'showHealthOverlay', 'defaultPortraitImageSource', 'enableSlotPicker', 'showResourceStrip', 'showLegendaryPanel', 'showHPHistory', 'showConditionStrip', 'showEffectsPanel', 'showMostUsedBadges', 'syncSheetFavorites', 'showHPControls', 'hideDeathSaves', 'deathSaveAutomation', 'promptLegendaryResistance', 'trackActionEconomy'] }
     ]
   });
 
@@ -401,7 +569,51 @@ export function registerSettings() {
     moduleId: MODULE_ID,
     titleKey: `${MODULE_ID}.Settings.AutoPopulate.MenuTitle`,
     sections: [
-      { legend: `${MODULE_ID}.Settings.AutoPopulate.Legend`, keys: ['autoPopulateEnabled', 'autoPopulatePlayerCharacters', 'autoPopulatePassivesEnabled', 'filterPreparedSpellsPlayers', 'filterPreparedSpellsNPCs', 'ignoreGroupActors'] }
+      { legend: `${MODULE_ID}.Settings.AutoPopulate.Legend`, keys: ['autoPopulateEnabled', 'autoPopulatePlayerCharacters', 'autoPopulatePassivesEnabled', 'filterPreparedSpellsPlayers', 'filterPreparedSpellsNPCs', 'ignoreGroupActors'] },
+      {
+        legend: `${MODULE_ID}.Settings.AutoPopulate.SortingLegend`,
+        keys: ['autoSortStrategy'],
+        buttons: [
+          {
+            id: 'autoSortTypeOrder',
+            name: `${MODULE_ID}.Settings.AutoSortTypeOrder`,
+            label: `${MODULE_ID}.AutoSort.EditTypeOrder`,
+            icon: 'fas fa-arrow-down-short-wide',
+            hint: `${MODULE_ID}.Settings.AutoSortTypeOrderHint`,
+            onClick: () => showSortOrderDialog()
+          }
+        ]
+      },
+      {
+        legend: `${MODULE_ID}.Settings.AutoPopulate.PresetsLegend`,
+        keys: ['autoPopulatePresetDetection'],
+        buttons: [
+          {
+            id: 'autoPopulatePresetsManage',
+            name: `${MODULE_ID}.AutoPopulatePresets.ManageTitle`,
+            label: `${MODULE_ID}.AutoPopulatePresets.Manage`,
+            icon: 'fas fa-grid-2',
+            hint: `${MODULE_ID}.AutoPopulatePresets.ManageHint`,
+            onClick: () => showPresetManager()
+          },
+          {
+            id: 'autoPopulatePresetsExport',
+            name: `${MODULE_ID}.AutoPopulatePresets.ExportTitle`,
+            label: `${MODULE_ID}.AutoPopulatePresets.Export`,
+            icon: 'fas fa-file-export',
+            hint: `${MODULE_ID}.AutoPopulatePresets.ExportHint`,
+            onClick: () => exportPresets()
+          },
+          {
+            id: 'autoPopulatePresetsImport',
+            name: `${MODULE_ID}.AutoPopulatePresets.ImportTitle`,
+            label: `${MODULE_ID}.AutoPopulatePresets.Import`,
+            icon: 'fas fa-file-import',
+            hint: `${MODULE_ID}.AutoPopulatePresets.ImportHint`,
+            onClick: () => showPresetImport()
+          }
+        ]
+      }
     ]
   });
 
@@ -0,0 +1,100 @@
+/**
+ * D&D 5e Spell Preparation Helpers
+ * Read and toggle prepared state, list preparable spells and the class preparation limits
+ */
+
+/**
+ * Get the current preparation state of a spell
+ * @param {Item} item - The spell item
+ * @returns {{togglable: boolean, prepared: boolean}}
+ */
+export function getPreparationState(item) {
+    if (item?.type !== 'spell') return { togglable: false, prepared: false };
+
+    // D&D 5e v5.1+: use .method instead of deprecated .preparation.mode
+    const method = item.system?.method ?? item.system?.preparation?.mode ?? '';
+    if (method !== 'spell' && method !== 'prepared') return { togglable: false, prepared: false };
+
+    // D&D 5e v5.1+: system.prepared is 0 (unprepared), 1 (prepared) or 2 (always prepared)
+    if (typeof item.system?.prepared === 'number') {
+        return {
+            togglable: item.system.prepared !== 2,
+            prepared: item.system.prepared !== 0
+        };
+    }
+
+    // Legacy: system.preparation.prepared boolean
+    return {
+        togglable: true,
+        prepared: !!item.system?.preparation?.prepared
+    };
+}
+
+/**
+ * Set whether a spell is prepared
+ * @param {Item} item - The spell item
+ * @param {boolean} prepared - New prepared state
+ * @returns {Promise<void>}
+ */
+export async function setPrepared(item, prepared) {
+    if (typeof item.system?.prepared === 'number') {
+        await item.update({ 'system.prepared': prepared ? 1 : 0 });
+    } else {
+        await item.update({ 'system.preparation.prepared': prepared });
+    }
+}
+
+/**
+ * Get the actor's learned leveled spells grouped by spell level
+ * Cantrips and spells cached from Cast activities are skipped.
+ * @param {Actor} actor - The actor
+ * @returns {Array<{level: number, label: string, spells: Array<{item: Item, togglable: boolean, prepared: boolean}>}>}
+ */
+export function getPreparableSpellsByLevel(actor) {
+    const groups = new Map();
+
+    for (const item of actor?.items ?? []) {
+        if (item.type !== 'spell' || item.flags?.dnd5e?.cachedFor) continue;
+
+        const level = item.system?.level ?? 0;
+        if (level === 0) continue;
+
+        const method = item.system?.method ?? item.system?.preparation?.mode ?? '';
+        if (method !== 'spell' && method !== 'prepared') continue;
+
+        if (!groups.has(level)) {
+            groups.set(level, {
+                level,
+                label: CONFIG.DND5E?.spellLevels?.[level] ?? `${level}`,
+                spells: []
+            });
+        }
+        groups.get(level).spells.push({ item, ...getPreparationState(item) });
+    }
+
+    return Array.from(groups.values())
+        .sort((a, b) => a.level - b.level)
+        .map(group => {
+            group.spells.sort((a, b) => a.item.name.localeCompare(b.item.name));
+            return group;
+        });
+}
+
+/**
+ * Get each spellcasting class's prepared count and limit
+ * @param {Actor} actor - The actor
+ * @returns {Array<{name: string, value: number, max: number}>}
+ */
+export function getPreparationLimits(actor) {
+    const classes = actor?.spellcastingClasses ?? {};
+    const limits = [];
+
+    for (const cls of Object.values(classes)) {
+        const preparation = cls.system?.spellcasting?.preparation;
+        const max = parseInt(preparation?.max) || 0;
+        if (max <= 0) continue;
+        limits.push({ name: cls.name, value: parseInt(preparation.value) || 0, max });
+    }
+
+    return limits;
+}
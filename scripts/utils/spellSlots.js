@@ -0,0 +1,85 @@
+/**
+ * D&D 5e Spell Slot Helpers
+ * Shared slot-availability logic used by cell depletion checks and the slot picker
+ */
+
+import { getCompatibilitySpellSlots } from '../compatibility/index.js';
+
+const MODULE_ID = 'bg3-hud-dnd5e';
+const ROMAN_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX'];
+
+/**
+ * Get every slot an actor could spend to cast a spell of the given level
+ * Includes regular spell slots at or above the level, pact slots and
+ * compatibility-provided slots (e.g. SCGD apothecary) whose level is high enough.
+ * @param {Actor} actor - The D&D 5e actor
+ * @param {number} level - The base spell level
+ * @param {Object} [options]
+ * @param {boolean} [options.includeEmpty=false] - Include slots with no remaining uses
+ * @returns {Array<{key: string, level: number, label: string, short: string, value: number, max: number, isPact?: boolean, isApothecary?: boolean}>}
+ */
+export function getCastingSlots(actor, level, { includeEmpty = false } = {}) {
+    const spells = actor?.system?.spells;
+    if (!spells) return [];
+
+    const slots = [];
+
+    // Regular spell slots at this level or higher
+    for (let l = Math.max(level, 1); l <= 9; l++) {
+        const slot = spells[`spell${l}`];
+        if (!slot?.max) continue;
+        if (!includeEmpty && !(slot.value > 0)) continue;
+
+        slots.push({
+            key: `spell${l}`,
+            level: l,
+            label: CONFIG.DND5E?.spellLevels?.[l] ?? game.i18n.format('DND5E.SpellLevel', { level: l }),
+            short: ROMAN_NUMERALS[l - 1],
+            value: slot.value ?? 0,
+            max: slot.max
+        });
+    }
+
+    // Pact slots - they can cast spells up to their level
+    const pact = spells.pact;
+    if (pact?.max > 0 && pact.level >= level && (includeEmpty || pact.value > 0)) {
+        slots.push({
+            key: 'pact',
+            level: pact.level,
+            label: game.i18n.localize(`${MODULE_ID}.Filters.PactMagic`),
+            short: 'P',
+            value: pact.value ?? 0,
+            max: pact.max,
+            isPact: true
+        });
+    }
+
+    // Compatibility slots (SCGD apothecary, ...)
+    for (const compatSlot of getCompatibilitySpellSlots(actor)) {
+        const slotLevel = compatSlot.data?.level ?? 1;
+        if (slotLevel < level) continue;
+        if (!includeEmpty && !(compatSlot.value > 0)) continue;
+
+        slots.push({
+            key: compatSlot.id.replace(/^spell-/, ''),
+            level: slotLevel,
+            label: compatSlot.label,
+            short: compatSlot.short,
+            value: compatSlot.value ?? 0,
+            max: compatSlot.max,
+            isApothecary: !!compatSlot.data?.isApothecary
+        });
+    }
+
+    return slots;
+}
+
+/**
+ * Check if an actor has any slot left to cast a spell of the given level
+ * @param {Actor} actor - The D&D 5e actor
+ * @param {number} level - The base spell level
+ * @returns {boolean}
+ */
+export function hasCastingSlot(actor, level) {
+    return getCastingSlots(actor, level).length > 0;
+}
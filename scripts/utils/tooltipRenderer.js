@@ -3,6 +3,8 @@
  * Handles rendering tooltips for items, activities, and macros
  */
 
+import { getConsumptionPreview } from './consumptionPreview.js';
+
 /**
  * Extract component and cast time tags from item/activity data
  * @param {Object} itemOrActivity - Item or activity data
@@ -193,6 +195,23 @@ function extractComponentAndCastTimeTags(itemOrActivity, labels, parentItem = nu
     return tags.filter(_ => _); // Remove any empty values
 }
 
+/**
+ * Get consumption preview entries for the tooltip
+ * @param {Item|Object} document - Item or activity
+ * @returns {Array<Object>} Entries with a display label and affordability
+ */
+function getConsumptionCardData(document) {
+    const { entries } = getConsumptionPreview(document);
+    return entries.map(entry => ({
+        ...entry,
+        text: game.i18n.format('bg3-hud-dnd5e.Consumption.Entry', {
+            label: entry.label,
+            cost: entry.cost,
+            available: entry.available
+        })
+    }));
+}
+
 /**
  * Get card data for an item (similar to D&D 5e's getCardData)
  * @param {Item} item - Foundry Item document
@@ -222,6 +241,7 @@ async function getItemCardData(item, enrichmentOptions = {}) {
         materials: item.system.materials,
         tags: [],
         isSpell: item.type === 'spell',
+        consumption: item.actor ? getConsumptionCardData(item) : [],
         price: item.system.price,
         weight: item.system.weight
     };
@@ -320,7 +340,8 @@ async function getActivityCardData(activity, parentItem, enrichmentOptions = {})
         materials: activity.system?.materials ?? parentItem.system?.materials,
         tags: [],
         isSpell: getDataParent('isSpell') ?? parentItem.type === 'spell',
-        parentType: parentItem.type
+        parentType: parentItem.type,
+        consumption: parentItem.actor ? getConsumptionCardData(activity) : []
     };
 
     // Extract tags using shared helper function